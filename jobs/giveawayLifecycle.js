@@ -0,0 +1,73 @@
+const { pickWinner } = require('../lib/giveaways');
+
+// Moves giveaways through scheduled -> live -> ended based on starts_at / ends_at and
+// picks a winner for each one that ends. Safe to run from several instances at once:
+// the state changes are conditional updates and each ending giveaway is claimed with
+// FOR UPDATE SKIP LOCKED, then re-checked before anything is written.
+async function advanceGiveaways(pool, { batchSize = 25 } = {}) {
+  const live = await pool.query(
+    `
+    UPDATE giveaways
+    SET status = 'live', updated_at = NOW()
+    WHERE status = 'scheduled' AND starts_at <= NOW() AND ends_at > NOW();
+    `
+  );
+
+  const dueRes = await pool.query(
+    `
+    SELECT id
+    FROM giveaways
+    WHERE status <> 'ended' AND ends_at <= NOW()
+    ORDER BY ends_at ASC
+    LIMIT $1;
+    `,
+    [batchSize]
+  );
+
+  let ended = 0;
+  let winners = 0;
+
+  for (const { id } of dueRes.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const gRes = await client.query(
+        `
+        SELECT id
+        FROM giveaways
+        WHERE id = $1 AND status <> 'ended' AND ends_at <= NOW()
+        FOR UPDATE SKIP LOCKED;
+        `,
+        [id]
+      );
+      if (gRes.rowCount === 0) {
+        // Another instance got there first.
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const picked = await pickWinner(client, id);
+      if (picked.error) {
+        // Nobody entered: close it without a winner.
+        await client.query(`UPDATE giveaways SET status = 'ended', updated_at = NOW() WHERE id = $1;`, [id]);
+      } else {
+        winners += 1;
+      }
+
+      await client.query('COMMIT');
+      ended += 1;
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { went_live: live.rowCount, ended, winners };
+}
+
+module.exports = { advanceGiveaways };
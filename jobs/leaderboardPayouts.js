@@ -0,0 +1,27 @@
+const { weeklyPrizes, payWeeklyPrizes } = require('../lib/leaderboards');
+
+// Closes last week's boards by paying the configured prizes (LEADERBOARD_WEEKLY_PRIZES).
+// Payouts are keyed by category, week and place, so a re-run or a second instance pays nothing twice.
+async function closeWeeklyLeaderboards(pool) {
+  let paid = 0;
+
+  for (const category of Object.keys(weeklyPrizes())) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      paid += (await payWeeklyPrizes(client, category)).length;
+      await client.query('COMMIT');
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { paid };
+}
+
+module.exports = { closeWeeklyLeaderboards };
@@ -0,0 +1,33 @@
+const { assignMissions } = require('../lib/missions');
+
+// Hands out the current daily / weekly missions to everyone active in the last
+// `activeDays` days. assignMissions is idempotent, so overlapping runs are harmless.
+async function rotateMissions(pool, { activeDays = 14, batchSize = 500 } = {}) {
+  let lastId = 0;
+  let users = 0;
+  let assigned = 0;
+
+  for (;;) {
+    const res = await pool.query(
+      `
+      SELECT id
+      FROM users
+      WHERE id > $1 AND updated_at > NOW() - make_interval(days => $2)
+      ORDER BY id ASC
+      LIMIT $3;
+      `,
+      [lastId, activeDays, batchSize]
+    );
+    if (res.rowCount === 0) break;
+
+    for (const { id } of res.rows) {
+      assigned += await assignMissions(pool, id);
+      users += 1;
+      lastId = id;
+    }
+  }
+
+  return { users, assigned };
+}
+
+module.exports = { rotateMissions };
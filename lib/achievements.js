@@ -0,0 +1,97 @@
+const { applyGems } = require('./ledger');
+const { matchesCriteria } = require('./rules');
+
+// Checks the user's still-locked achievements for `event` against each payload and
+// unlocks (and pays) the ones that match. Runs inside the caller's transaction.
+// Returns the newly unlocked achievements.
+async function processAchievements(client, userId, event, payloads) {
+  const res = await client.query(
+    `
+    SELECT a.id, a.code, a.name, a.description, a.criteria, a.reward_cents
+    FROM achievements a
+    WHERE a.event = $1 AND a.active = TRUE
+      AND NOT EXISTS (
+        SELECT 1 FROM user_achievements ua WHERE ua.user_id = $2 AND ua.achievement_id = a.id
+      )
+    ORDER BY a.sort_order ASC, a.id ASC;
+    `,
+    [event, userId]
+  );
+
+  const unlocked = [];
+  for (const a of res.rows) {
+    if (!payloads.some((p) => matchesCriteria(a.criteria, p))) continue;
+
+    const ins = await client.query(
+      `
+      INSERT INTO user_achievements (user_id, achievement_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+      RETURNING unlocked_at;
+      `,
+      [userId, a.id]
+    );
+    if (ins.rowCount === 0) continue;
+
+    const reward = Number(a.reward_cents || 0);
+    if (reward > 0) await applyGems(client, userId, reward, 'achievement_reward', a.id);
+
+    unlocked.push({
+      code: a.code,
+      name: a.name,
+      description: a.description,
+      reward_cents: reward,
+      unlocked_at: ins.rows[0].unlocked_at
+    });
+  }
+  return unlocked;
+}
+
+// Every active achievement with how many players (and what share of them) unlocked it.
+async function listAchievements(db, userId = null) {
+  const res = await db.query(
+    `
+    SELECT a.code, a.name, a.description, a.event, a.reward_cents,
+           COUNT(ua.user_id) AS unlocks,
+           (SELECT COUNT(*) FROM users) AS players,
+           MAX(ua.unlocked_at) FILTER (WHERE ua.user_id = $1) AS my_unlocked_at
+    FROM achievements a
+    LEFT JOIN user_achievements ua ON ua.achievement_id = a.id
+    WHERE a.active = TRUE
+    GROUP BY a.id
+    ORDER BY a.sort_order ASC, a.id ASC;
+    `,
+    [userId]
+  );
+
+  return res.rows.map((r) => {
+    const unlocks = Number(r.unlocks || 0);
+    const players = Number(r.players || 0);
+    return {
+      code: r.code,
+      name: r.name,
+      description: r.description,
+      event: r.event,
+      reward_cents: Number(r.reward_cents || 0),
+      unlocks,
+      unlock_pct: players > 0 ? Math.round((unlocks / players) * 10000) / 100 : 0,
+      unlocked_at: r.my_unlocked_at || null
+    };
+  });
+}
+
+async function listUserAchievements(db, userId) {
+  const res = await db.query(
+    `
+    SELECT a.code, a.name, a.description, a.reward_cents, ua.unlocked_at
+    FROM user_achievements ua
+    JOIN achievements a ON a.id = ua.achievement_id
+    WHERE ua.user_id = $1
+    ORDER BY ua.unlocked_at DESC;
+    `,
+    [userId]
+  );
+  return res.rows.map((r) => ({ ...r, reward_cents: Number(r.reward_cents || 0) }));
+}
+
+module.exports = { processAchievements, listAchievements, listUserAchievements };
@@ -0,0 +1,359 @@
+const { weightedPick, randomFloat01, randomIntInclusive } = require('./random');
+const { wearFromFloat } = require('./wear');
+const { marketHashName, getPricesCents } = require('./prices');
+const { recordWager } = require('./tiers');
+const { awardXp, addCaseMastery } = require('./progress');
+const { recordOpenings } = require('./stats');
+const { resolveCaseVersion } = require('./catalog');
+const { variantChances, variantFromRoll, addStatTrakKills } = require('./variants');
+
+// Seats are split into consecutive teams: in 2v2 seats 0-1 are team 0 and seats 2-3 team 1.
+const BATTLE_MODES = {
+  '1v1': { seatCount: 2, teamSize: 1 },
+  '1v1v1': { seatCount: 3, teamSize: 1 },
+  '1v1v1v1': { seatCount: 4, teamSize: 1 },
+  '2v2': { seatCount: 4, teamSize: 2 }
+};
+
+const MAX_BATTLE_ROUNDS = 10;
+
+function teamForSeat(seatIndex, teamSize) {
+  return Math.floor(seatIndex / teamSize);
+}
+
+function seatIsEmpty(seat) {
+  return seat.user_id === null && !seat.is_bot;
+}
+
+async function getBattle(db, battleId) {
+  const bRes = await db.query(
+    `
+    SELECT b.id, b.mode, b.seat_count, b.team_size, b.case_ids, b.cost_cents, b.status, b.winner_team,
+           b.total_value_cents, b.created_at, b.finished_at,
+           u.steam_id AS creator_steam_id, u.display_name AS creator_display_name
+    FROM battles b
+    JOIN users u ON u.id = b.creator_id
+    WHERE b.id = $1;
+    `,
+    [battleId]
+  );
+  if (bRes.rowCount === 0) return null;
+  const b = bRes.rows[0];
+
+  const casesRes = await db.query(
+    'SELECT id, slug, name, image_url, case_price_cents, key_price_cents FROM cases WHERE id = ANY($1::bigint[]);',
+    [b.case_ids]
+  );
+  const casesById = new Map(casesRes.rows.map((c) => [Number(c.id), c]));
+
+  const seatsRes = await db.query(
+    `
+    SELECT s.seat_index, s.team, s.is_bot, s.joined_at, s.total_cents,
+           u.steam_id, u.display_name, u.avatar
+    FROM battle_seats s
+    LEFT JOIN users u ON u.id = s.user_id
+    WHERE s.battle_id = $1
+    ORDER BY s.seat_index ASC;
+    `,
+    [battleId]
+  );
+
+  const dropsRes = await db.query(
+    `
+    SELECT d.round, d.seat_index, d.wear, d.float_value, d.pattern_index, d.variant, d.market_hash_name,
+           d.price_cents, d.inventory_id, i.id AS item_id, i.name, i.weapon, i.rarity, i.is_special, i.image_url,
+           au.steam_id AS awarded_steam_id
+    FROM battle_drops d
+    LEFT JOIN items i ON i.id = d.item_id
+    LEFT JOIN users au ON au.id = d.awarded_user_id
+    WHERE d.battle_id = $1
+    ORDER BY d.round ASC, d.seat_index ASC;
+    `,
+    [battleId]
+  );
+
+  return {
+    battle: {
+      id: Number(b.id),
+      mode: b.mode,
+      seat_count: Number(b.seat_count),
+      team_size: Number(b.team_size),
+      cost_cents: Number(b.cost_cents),
+      status: b.status,
+      winner_team: b.winner_team === null ? null : Number(b.winner_team),
+      total_value_cents: b.total_value_cents === null ? null : Number(b.total_value_cents),
+      created_at: b.created_at,
+      finished_at: b.finished_at,
+      creator: { steam_id: b.creator_steam_id, display_name: b.creator_display_name },
+      cases: b.case_ids.map((id) => casesById.get(Number(id)) || { id: Number(id) })
+    },
+    seats: seatsRes.rows.map((s) => ({
+      seat_index: Number(s.seat_index),
+      team: Number(s.team),
+      is_bot: s.is_bot,
+      empty: !s.is_bot && !s.steam_id,
+      user: s.steam_id ? { steam_id: s.steam_id, display_name: s.display_name, avatar: s.avatar } : null,
+      joined_at: s.joined_at,
+      total_cents: Number(s.total_cents || 0)
+    })),
+    drops: dropsRes.rows.map((d) => ({
+      round: Number(d.round),
+      seat_index: Number(d.seat_index),
+      item: {
+        id: d.item_id === null ? null : Number(d.item_id),
+        name: d.name,
+        weapon: d.weapon,
+        rarity: d.rarity,
+        is_special: d.is_special,
+        image_url: d.image_url
+      },
+      wear: d.wear,
+      float_value: Number(d.float_value),
+      pattern_index: d.pattern_index,
+      variant: d.variant,
+      market_hash_name: d.market_hash_name,
+      price_cents: Number(d.price_cents || 0),
+      inventory_id: d.inventory_id === null ? null : Number(d.inventory_id),
+      awarded_steam_id: d.awarded_steam_id || null
+    }))
+  };
+}
+
+async function fillSeatsWithBots(client, battleId) {
+  const res = await client.query(
+    `
+    UPDATE battle_seats
+    SET is_bot = TRUE, joined_at = NOW()
+    WHERE battle_id = $1 AND user_id IS NULL AND is_bot = FALSE;
+    `,
+    [battleId]
+  );
+  return res.rowCount;
+}
+
+// Rolls every round for every seat and prices the drops. Rolls do not depend on who sits where,
+// so this runs before the battle's transaction and no locks are held during price lookups.
+// `battle` needs case_ids and seat_count; the result is passed to runBattle.
+async function rollBattle(pool, battle) {
+  const caseIds = battle.case_ids.map(Number);
+
+  const itemsRes = await pool.query(
+    `
+    SELECT ci.case_id, ci.weight, i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base
+    FROM case_items ci
+    JOIN items i ON i.id = ci.item_id
+    WHERE ci.case_id = ANY($1::bigint[]);
+    `,
+    [caseIds]
+  );
+  const itemsByCase = new Map();
+  for (const row of itemsRes.rows) {
+    const key = Number(row.case_id);
+    if (!itemsByCase.has(key)) itemsByCase.set(key, []);
+    itemsByCase.get(key).push(row);
+  }
+
+  const casesRes = await pool.query(
+    `
+    SELECT id, slug, name, image_url, case_price_cents, key_price_cents, stattrak_chance, souvenir_chance
+    FROM cases
+    WHERE id = ANY($1::bigint[]);
+    `,
+    [caseIds]
+  );
+  const casesById = new Map(casesRes.rows.map((c) => [Number(c.id), c]));
+
+  const drops = [];
+  caseIds.forEach((caseId, round) => {
+    const caseItems = itemsByCase.get(caseId);
+    if (!caseItems || caseItems.length === 0) throw new Error(`rollBattle: case ${caseId} has no items`);
+
+    for (let seatIndex = 0; seatIndex < Number(battle.seat_count); seatIndex += 1) {
+      const picked = weightedPick(caseItems, 'weight');
+      const floatValue = randomFloat01();
+      const wear = wearFromFloat(floatValue);
+      const variant = variantFromRoll(randomFloat01(), variantChances(casesById.get(caseId)), picked);
+      drops.push({
+        round,
+        seatIndex,
+        caseId,
+        picked,
+        floatValue,
+        wear,
+        variant,
+        patternIndex: picked.is_special ? randomIntInclusive(0, 999) : null,
+        marketHashName: marketHashName(picked.market_hash_base, wear, variant)
+      });
+    }
+  });
+
+  const prices = await getPricesCents(pool, drops.map((d) => d.marketHashName));
+  for (const d of drops) d.priceCents = prices.get(d.marketHashName);
+
+  return { cases: casesRes.rows, itemsByCase, drops };
+}
+
+// Settles a battle rolled by rollBattle: decides the winning team and moves all drops into the
+// inventories of the winning team's players. The caller holds the battle row lock and has
+// already checked that every seat is taken.
+async function runBattle(client, battle, { cases, itemsByCase, drops }) {
+  const caseIds = battle.case_ids.map(Number);
+  const openCost = new Map(
+    cases.map((c) => [Number(c.id), Number(c.case_price_cents || 0) + Number(c.key_price_cents || 0)])
+  );
+
+  const seatsRes = await client.query(
+    'SELECT seat_index, team, user_id, is_bot FROM battle_seats WHERE battle_id = $1 ORDER BY seat_index ASC;',
+    [battle.id]
+  );
+  const seats = seatsRes.rows.map((s) => ({
+    seat_index: Number(s.seat_index),
+    team: Number(s.team),
+    user_id: s.user_id === null ? null : Number(s.user_id)
+  }));
+  const seatsByIndex = new Map(seats.map((seat) => [seat.seat_index, seat]));
+  for (const d of drops) d.seat = seatsByIndex.get(d.seatIndex);
+
+  // Every drop records the case version (odds) it was rolled with.
+  const caseVersions = new Map();
+  for (const c of cases) {
+    caseVersions.set(Number(c.id), await resolveCaseVersion(client, c, itemsByCase.get(Number(c.id)) || []));
+  }
+
+  const seatTotals = new Map();
+  const teamTotals = new Map();
+  let totalValue = 0;
+  for (const d of drops) {
+    totalValue += d.priceCents;
+    seatTotals.set(d.seat.seat_index, (seatTotals.get(d.seat.seat_index) || 0) + d.priceCents);
+    teamTotals.set(d.seat.team, (teamTotals.get(d.seat.team) || 0) + d.priceCents);
+  }
+
+  // Highest team total wins; exact ties are settled at random.
+  const best = Math.max(...teamTotals.values());
+  const tied = [...teamTotals.entries()].filter(([, total]) => total === best).map(([team]) => team);
+  const winnerTeam = tied[randomIntInclusive(0, tied.length - 1)];
+
+  // Winning players share the pot, most valuable drops handed out round-robin.
+  // A team made only of bots wins for the house and nobody receives the items.
+  const winners = seats.filter((s) => s.team === winnerTeam && s.user_id !== null).map((s) => s.user_id);
+  const byValue = [...drops].sort((a, b) => b.priceCents - a.priceCents);
+  byValue.forEach((d, i) => {
+    d.awardedUserId = winners.length > 0 ? winners[i % winners.length] : null;
+  });
+
+  // Each player opened one case per round: kills for the StatTrak™ items they held going in.
+  for (const seat of seats) {
+    if (seat.user_id !== null) await addStatTrakKills(client, seat.user_id, caseIds.length);
+  }
+
+  for (const d of drops) {
+    let inventoryId = null;
+    if (d.awardedUserId !== null) {
+      const invRes = await client.query(
+        `
+        INSERT INTO inventory
+          (user_id, item_id, case_id, wear, float_value, pattern_index, price_cents_at_drop, variant, stattrak_kills)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id;
+        `,
+        [
+          d.awardedUserId,
+          d.picked.id,
+          d.caseId,
+          d.wear,
+          d.floatValue,
+          d.patternIndex,
+          d.priceCents,
+          d.variant,
+          d.variant === 'stattrak' ? 0 : null
+        ]
+      );
+      inventoryId = invRes.rows[0].id;
+    }
+
+    await client.query(
+      `
+      INSERT INTO battle_drops
+        (battle_id, round, seat_index, case_id, item_id, wear, float_value, pattern_index, market_hash_name,
+         price_cents, cost_cents, awarded_user_id, inventory_id, case_version_id, variant)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15);
+      `,
+      [
+        battle.id,
+        d.round,
+        d.seat.seat_index,
+        d.caseId,
+        d.picked.id,
+        d.wear,
+        d.floatValue,
+        d.patternIndex,
+        d.marketHashName,
+        d.priceCents,
+        openCost.get(d.caseId) || 0,
+        d.awardedUserId,
+        inventoryId,
+        caseVersions.get(d.caseId),
+        d.variant
+      ]
+    );
+  }
+
+  for (const [seatIndex, total] of seatTotals) {
+    await client.query('UPDATE battle_seats SET total_cents = $1 WHERE battle_id = $2 AND seat_index = $3;', [
+      total,
+      battle.id,
+      seatIndex
+    ]);
+  }
+
+  // Every player opened one case per round, which counts towards their tier, XP, mastery and stats.
+  const roundsPerCase = new Map();
+  for (const caseId of caseIds) roundsPerCase.set(caseId, (roundsPerCase.get(caseId) || 0) + 1);
+
+  for (const seat of seats) {
+    // Bot seats still count towards the global opening stats.
+    await recordOpenings(
+      client,
+      seat.user_id,
+      drops
+        .filter((d) => d.seat.seat_index === seat.seat_index)
+        .map((d) => ({
+          case_id: d.caseId,
+          item_id: d.picked.id,
+          rarity: d.picked.rarity,
+          wear: d.wear,
+          float_value: d.floatValue,
+          price_cents: d.priceCents,
+          cost_cents: openCost.get(d.caseId) || 0
+        }))
+    );
+    if (seat.user_id === null) continue;
+    await recordWager(client, seat.user_id, { wageredCents: battle.cost_cents, casesOpened: caseIds.length });
+    await awardXp(client, seat.user_id, 'battle');
+    if (seat.team === winnerTeam) await awardXp(client, seat.user_id, 'battle_win');
+    for (const [caseId, opens] of roundsPerCase) await addCaseMastery(client, seat.user_id, caseId, opens);
+  }
+
+  await client.query(
+    `
+    UPDATE battles
+    SET status = 'finished', winner_team = $1, total_value_cents = $2, finished_at = NOW()
+    WHERE id = $3;
+    `,
+    [winnerTeam, totalValue, battle.id]
+  );
+
+  return { winnerTeam, totalValueCents: totalValue };
+}
+
+module.exports = {
+  BATTLE_MODES,
+  MAX_BATTLE_ROUNDS,
+  teamForSeat,
+  seatIsEmpty,
+  getBattle,
+  fillSeatsWithBots,
+  rollBattle,
+  runBattle
+};
@@ -0,0 +1,124 @@
+const { wearFromFloat } = require('./wear');
+const { marketHashName, getPricesCents } = require('./prices');
+const { variantChances } = require('./variants');
+
+// Published odds for a case: each item's drop chance (weight / total weight, exactly how
+// rollOpening and weightedPick choose), totals per rarity and the expected value of one open.
+//
+// Floats are uniform on [0, 1) both in randomFloat01 and in the provably-fair rolls, so each
+// wear's chance is the width of its band. The expected value prices every item in every wear
+// and variant the case can drop (StatTrak™, Souvenir) from what is already cached: a name
+// nobody has priced yet counts as 0 and shows up in `unpriced`, rather than costing a provider
+// call per page view. Results are cached per case until the TTL runs out or the case's prices,
+// chances or weights change.
+
+// CS2's wear band edges, in thousandths of the float range. Each band is named by wearFromFloat.
+const WEAR_EDGES = [0, 70, 150, 380, 450, 1000];
+
+let wearShares = null;
+
+function wearDistribution() {
+  if (wearShares) return wearShares;
+
+  wearShares = WEAR_EDGES.slice(1).map((max, i) => {
+    const min = WEAR_EDGES[i];
+    return { wear: wearFromFloat((min + max) / 2000), probability: (max - min) / 1000 };
+  });
+  return wearShares;
+}
+
+function oddsTtlMs() {
+  return Math.max(Number(process.env.CASE_ODDS_TTL_SECONDS ?? 600), 0) * 1000;
+}
+
+// Special items are grouped as Gold, like the UI colours them.
+function rarityGroup(item) {
+  return item.is_special ? 'Gold' : item.rarity;
+}
+
+// Chance of each variant for one item of the case; specials are never Souvenir.
+function itemVariants(chances, item) {
+  const souvenir = item.is_special ? 0 : chances.souvenir;
+  return [
+    { variant: 'normal', probability: 1 - chances.stattrak - souvenir },
+    { variant: 'stattrak', probability: chances.stattrak },
+    { variant: 'souvenir', probability: souvenir }
+  ].filter((v) => v.probability > 0);
+}
+
+// `items` carry id, weight, rarity, is_special and market_hash_base.
+async function computeCaseOdds(pool, caseRow, items) {
+  const wears = wearDistribution();
+  const chances = variantChances(caseRow);
+  const totalWeight = items.reduce((sum, i) => sum + Number(i.weight), 0);
+
+  const names = items.flatMap((i) =>
+    wears.flatMap((w) => itemVariants(chances, i).map((v) => marketHashName(i.market_hash_base, w.wear, v.variant)))
+  );
+  const prices = await getPricesCents(pool, names, { cachedOnly: true });
+
+  const rarities = new Map();
+  let expectedValue = 0;
+  const itemOdds = items.map((i) => {
+    const probability = totalWeight > 0 ? Number(i.weight) / totalWeight : 0;
+    let value = 0;
+    for (const w of wears) {
+      for (const v of itemVariants(chances, i)) {
+        const price = prices.get(marketHashName(i.market_hash_base, w.wear, v.variant)) ?? 0;
+        value += w.probability * v.probability * price;
+      }
+    }
+    expectedValue += probability * value;
+
+    const group = rarityGroup(i);
+    const r = rarities.get(group) || { rarity: group, probability: 0, items: 0 };
+    r.probability += probability;
+    r.items += 1;
+    rarities.set(group, r);
+
+    return { item_id: Number(i.id), weight: Number(i.weight), probability, expected_value_cents: Math.round(value) };
+  });
+
+  const cost = Number(caseRow.case_price_cents || 0) + Number(caseRow.key_price_cents || 0);
+  return {
+    total_weight: totalWeight,
+    items: itemOdds,
+    rarities: [...rarities.values()].sort((a, b) => b.probability - a.probability),
+    wears,
+    variants: { stattrak_chance: chances.stattrak, souvenir_chance: chances.souvenir },
+    expected_value_cents: Math.round(expectedValue),
+    unpriced: new Set(names.filter((name) => !prices.has(name))).size,
+    cost_cents: cost,
+    // Average return per open: 0.9 means 90% of the cost comes back in value, on average.
+    roi: cost > 0 ? expectedValue / cost : null,
+    computed_at: new Date().toISOString()
+  };
+}
+
+const oddsCache = new Map();
+
+// Anything that changes the odds or the cost changes the key, so edits show up immediately.
+function oddsKey(caseRow, items) {
+  const weights = [...items]
+    .sort((a, b) => Number(a.id) - Number(b.id))
+    .map((i) => `${i.id}:${i.weight}:${i.market_hash_base}:${i.is_special}:${i.rarity}`);
+  const chances = variantChances(caseRow);
+  return [caseRow.case_price_cents, caseRow.key_price_cents, chances.stattrak, chances.souvenir, ...weights].join('|');
+}
+
+// Cached computeCaseOdds. Concurrent requests for the same case share one computation.
+function getCaseOdds(pool, caseRow, items) {
+  const caseId = Number(caseRow.id);
+  const key = oddsKey(caseRow, items);
+  const cached = oddsCache.get(caseId);
+  if (cached && cached.key === key && cached.expiresAt > Date.now()) return cached.promise;
+
+  const promise = computeCaseOdds(pool, caseRow, items);
+  oddsCache.set(caseId, { key, expiresAt: Date.now() + oddsTtlMs(), promise });
+  promise.catch(() => {
+    if (oddsCache.get(caseId)?.promise === promise) oddsCache.delete(caseId);
+  });
+  return promise;
+}
+
+module.exports = { wearDistribution, computeCaseOdds, getCaseOdds };
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+
+// Case catalog: admin edits, validation and versioning.
+//
+// A case version is a snapshot of the case (prices, name, image) and its contents (items and
+// weights) identified by a fingerprint of that snapshot. Every opening records the version
+// whose odds it was rolled with. Versions are created when an admin changes the catalog and,
+// as a safety net, whenever an opening sees contents no version matches yet (for example
+// after the seed script edits case_items directly).
+
+// Approximate CS2 case odds by rarity; special items are counted as "gold".
+const CS2_RARITY_SHARES = {
+  'mil-spec': 0.7992,
+  restricted: 0.1598,
+  classified: 0.032,
+  covert: 0.0064,
+  gold: 0.0026
+};
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+function rarityBucket(item) {
+  return item.is_special ? 'gold' : String(item.rarity || '').toLowerCase();
+}
+
+// How far (as a ratio either way) a rarity's share may drift from CS2 before we warn.
+function rarityTolerance() {
+  return Math.max(Number(process.env.CATALOG_RARITY_TOLERANCE ?? 2), 1);
+}
+
+function snapshotOf(caseRow, items) {
+  return {
+    case: {
+      slug: caseRow.slug,
+      name: caseRow.name,
+      image_url: caseRow.image_url,
+      case_price_cents: Number(caseRow.case_price_cents || 0),
+      key_price_cents: Number(caseRow.key_price_cents || 0),
+      stattrak_chance: Number(caseRow.stattrak_chance || 0),
+      souvenir_chance: Number(caseRow.souvenir_chance || 0)
+    },
+    items: [...items]
+      .sort((a, b) => Number(a.id) - Number(b.id))
+      .map((i) => ({
+        id: Number(i.id),
+        weight: Number(i.weight),
+        name: i.name,
+        weapon: i.weapon,
+        rarity: i.rarity,
+        is_special: Boolean(i.is_special),
+        image_url: i.image_url,
+        market_hash_base: i.market_hash_base
+      }))
+  };
+}
+
+function fingerprintOf(snapshot) {
+  return crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+}
+
+// Returns the id of the version matching this case row + contents, creating it if needed.
+// `items` are the rows the caller is actually using (id, weight and item columns).
+async function resolveCaseVersion(client, caseRow, items, { createdBy = null, note = null } = {}) {
+  const snapshot = snapshotOf(caseRow, items);
+  const fingerprint = fingerprintOf(snapshot);
+
+  const find = () =>
+    client.query(
+      'SELECT id FROM case_versions WHERE case_id = $1 AND fingerprint = $2 ORDER BY version DESC LIMIT 1;',
+      [caseRow.id, fingerprint]
+    );
+
+  const existing = await find();
+  if (existing.rowCount > 0) return Number(existing.rows[0].id);
+
+  // Serialise version numbering per case, then check again in case someone else just made it.
+  await client.query('SELECT id FROM cases WHERE id = $1 FOR UPDATE;', [caseRow.id]);
+  const again = await find();
+  if (again.rowCount > 0) return Number(again.rows[0].id);
+
+  const ins = await client.query(
+    `
+    INSERT INTO case_versions (case_id, version, fingerprint, snapshot, note, created_by)
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5
+    FROM case_versions
+    WHERE case_id = $1
+    RETURNING id;
+    `,
+    [caseRow.id, fingerprint, JSON.stringify(snapshot), note, createdBy]
+  );
+  return Number(ins.rows[0].id);
+}
+
+async function loadCaseItems(db, caseId) {
+  const res = await db.query(
+    `
+    SELECT ci.weight, i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base
+    FROM case_items ci
+    JOIN items i ON i.id = ci.item_id
+    WHERE ci.case_id = $1
+    ORDER BY i.id ASC;
+    `,
+    [caseId]
+  );
+  return res.rows;
+}
+
+// Re-versions a case from what is in the tables now (after an admin edit).
+async function snapshotCase(client, caseId, { createdBy = null, note = null } = {}) {
+  const cRes = await client.query('SELECT * FROM cases WHERE id = $1;', [caseId]);
+  if (cRes.rowCount === 0) return null;
+  return resolveCaseVersion(client, cRes.rows[0], await loadCaseItems(client, caseId), { createdBy, note });
+}
+
+// Parses case fields from an admin request. With `partial`, missing fields are left out.
+// Returns { error } or the fields to write.
+function parseCaseFields(body, { partial = false } = {}) {
+  const out = {};
+
+  if (body.slug !== undefined || !partial) {
+    const slug = String(body.slug || '').trim();
+    if (!SLUG_PATTERN.test(slug)) return { error: 'BAD_SLUG' };
+    out.slug = slug;
+  }
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 100) return { error: 'BAD_NAME' };
+    out.name = name;
+  }
+  if (body.imageUrl !== undefined) out.image_url = body.imageUrl ? String(body.imageUrl) : null;
+  for (const [key, column] of [
+    ['casePriceCents', 'case_price_cents'],
+    ['keyPriceCents', 'key_price_cents']
+  ]) {
+    if (body[key] === undefined && partial) continue;
+    const n = Number(body[key] ?? 0);
+    if (!Number.isInteger(n) || n < 0) return { error: 'BAD_PRICE', field: key };
+    out[column] = n;
+  }
+  for (const [key, column] of [
+    ['stattrakChance', 'stattrak_chance'],
+    ['souvenirChance', 'souvenir_chance']
+  ]) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n < 0 || n > 1) return { error: 'BAD_CHANCE', field: key };
+    out[column] = n;
+  }
+  if (body.active !== undefined) out.active = body.active === true;
+
+  return out;
+}
+
+function parseItemFields(body, { partial = false } = {}) {
+  const out = {};
+
+  for (const [key, column, max] of [
+    ['name', 'name', 100],
+    ['weapon', 'weapon', 64],
+    ['rarity', 'rarity', 32],
+    ['marketHashBase', 'market_hash_base', 200]
+  ]) {
+    if (body[key] === undefined && partial) continue;
+    const value = String(body[key] || '').trim();
+    if (!value || value.length > max) return { error: 'BAD_FIELD', field: key };
+    out[column] = value;
+  }
+  if (body.isSpecial !== undefined || !partial) out.is_special = body.isSpecial === true;
+  if (body.imageUrl !== undefined) out.image_url = body.imageUrl ? String(body.imageUrl) : null;
+
+  return out;
+}
+
+// Parses `[{ itemId, weight }]`. Every weight must be a positive number, so no case can
+// end up with a zero total. Returns { error } or { entries }.
+function parseContents(value) {
+  if (!Array.isArray(value) || value.length === 0) return { error: 'EMPTY_CASE' };
+
+  const seen = new Set();
+  const entries = [];
+  for (const e of value) {
+    const itemId = Number(e && e.itemId);
+    const weight = Number(e && e.weight);
+    if (!Number.isInteger(itemId) || itemId <= 0) return { error: 'BAD_ITEM_ID', item_id: e && e.itemId };
+    if (!Number.isFinite(weight) || weight <= 0) return { error: 'BAD_WEIGHT', item_id: itemId };
+    if (seen.has(itemId)) return { error: 'DUPLICATE_ITEM', item_id: itemId };
+    seen.add(itemId);
+    entries.push({ itemId, weight });
+  }
+  return { entries };
+}
+
+// Compares each rarity's share of the total weight with CS2's; warns when it is off by more
+// than the tolerance ratio or a usual rarity is missing.
+function rarityWarnings(items) {
+  const total = items.reduce((sum, i) => sum + Number(i.weight), 0);
+  const shares = new Map();
+  for (const i of items) shares.set(rarityBucket(i), (shares.get(rarityBucket(i)) || 0) + Number(i.weight) / total);
+
+  const tolerance = rarityTolerance();
+  const warnings = [];
+  for (const [rarity, expected] of Object.entries(CS2_RARITY_SHARES)) {
+    const share = shares.get(rarity) || 0;
+    if (share === 0) {
+      warnings.push({ rarity, share, expected, warning: 'MISSING_RARITY' });
+    } else if (share / expected > tolerance || expected / share > tolerance) {
+      warnings.push({ rarity, share, expected, warning: 'RARITY_DRIFT' });
+    }
+  }
+  for (const [rarity, share] of shares) {
+    if (!(rarity in CS2_RARITY_SHARES)) warnings.push({ rarity, share, expected: null, warning: 'UNKNOWN_RARITY' });
+  }
+  return warnings;
+}
+
+// Replaces a case's contents. The caller holds the case row lock. Returns { error } or { items }.
+async function replaceCaseContents(client, caseId, entries) {
+  const ids = entries.map((e) => e.itemId);
+  const found = await client.query('SELECT id FROM items WHERE id = ANY($1::bigint[]);', [ids]);
+  if (found.rowCount !== ids.length) {
+    const known = new Set(found.rows.map((r) => Number(r.id)));
+    return { error: 'ITEM_NOT_FOUND', item_id: ids.find((id) => !known.has(id)) };
+  }
+
+  await client.query('DELETE FROM case_items WHERE case_id = $1;', [caseId]);
+  for (const e of entries) {
+    await client.query('INSERT INTO case_items (case_id, item_id, weight) VALUES ($1, $2, $3);', [
+      caseId,
+      e.itemId,
+      e.weight
+    ]);
+  }
+  return { items: await loadCaseItems(client, caseId) };
+}
+
+// Column names always come from parseCaseFields/parseItemFields, never from the request.
+async function insertRow(client, table, fields) {
+  const columns = Object.keys(fields);
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+  const res = await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *;`,
+    Object.values(fields)
+  );
+  return res.rows[0];
+}
+
+async function updateRow(client, table, id, fields) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    const res = await client.query(`SELECT * FROM ${table} WHERE id = $1;`, [id]);
+    return res.rows[0] || null;
+  }
+  const res = await client.query(
+    `UPDATE ${table} SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *;`,
+    [id, ...Object.values(fields)]
+  );
+  return res.rows[0] || null;
+}
+
+async function slugTaken(db, slug, exceptCaseId = null) {
+  const res = await db.query('SELECT 1 FROM cases WHERE slug = $1 AND ($2::bigint IS NULL OR id <> $2);', [
+    slug,
+    exceptCaseId
+  ]);
+  return res.rowCount > 0;
+}
+
+async function casesWithItem(db, itemId) {
+  const res = await db.query('SELECT DISTINCT case_id FROM case_items WHERE item_id = $1 ORDER BY case_id ASC;', [
+    itemId
+  ]);
+  return res.rows.map((r) => Number(r.case_id));
+}
+
+async function listCaseVersions(db, caseId) {
+  const res = await db.query(
+    `
+    SELECT v.id, v.version, v.fingerprint, v.note, v.created_at, u.steam_id AS created_by_steam_id,
+           jsonb_array_length(v.snapshot->'items') AS item_count
+    FROM case_versions v
+    LEFT JOIN users u ON u.id = v.created_by
+    WHERE v.case_id = $1
+    ORDER BY v.version DESC;
+    `,
+    [caseId]
+  );
+  return res.rows.map((r) => ({ ...r, id: Number(r.id), item_count: Number(r.item_count) }));
+}
+
+async function getCaseVersion(db, caseId, version) {
+  const res = await db.query(
+    `
+    SELECT id, version, fingerprint, snapshot, note, created_at
+    FROM case_versions
+    WHERE case_id = $1 AND version = $2;
+    `,
+    [caseId, version]
+  );
+  return res.rows[0] ? { ...res.rows[0], id: Number(res.rows[0].id) } : null;
+}
+
+module.exports = {
+  CS2_RARITY_SHARES,
+  resolveCaseVersion,
+  loadCaseItems,
+  snapshotCase,
+  parseCaseFields,
+  parseItemFields,
+  parseContents,
+  rarityWarnings,
+  replaceCaseContents,
+  insertRow,
+  updateRow,
+  slugTaken,
+  casesWithItem,
+  listCaseVersions,
+  getCaseVersion
+};
@@ -0,0 +1,17 @@
+const { processAchievements } = require('./achievements');
+const { processMissions } = require('./missions');
+
+// Gameplay events raised inside the transactions that cause them:
+//   case_open      one payload per drop
+//   item_sell      one payload per item sold
+//   streak_claim   { streak_day, reward_cents }
+//   giveaway_entry { giveaway_id, entries, cost_cents }
+// Returns everything the event unlocked or completed so the route can show it.
+async function emitEvent(client, userId, event, payloads) {
+  const list = Array.isArray(payloads) ? payloads : [payloads];
+  const achievements = await processAchievements(client, userId, event, list);
+  const missions = await processMissions(client, userId, event, list);
+  return { achievements, missions };
+}
+
+module.exports = { emitEvent };
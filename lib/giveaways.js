@@ -0,0 +1,51 @@
+const { weightedPick } = require('./random');
+const { publishFeedEvent } = require('./liveFeed');
+
+// Picks a winner for a giveaway the caller has locked (FOR UPDATE), weighted by entries,
+// marks the giveaway ended and announces the winner on the live feed. Picking again re-rolls the winner.
+// Returns { error: 'NO_ENTRIES' } or { winner }.
+async function pickWinner(client, giveawayId) {
+  const entriesRes = await client.query(
+    'SELECT user_id, entries FROM giveaway_entries WHERE giveaway_id = $1 AND entries > 0;',
+    [giveawayId]
+  );
+  if (entriesRes.rowCount === 0) return { error: 'NO_ENTRIES' };
+
+  const rows = entriesRes.rows.map((r) => ({ user_id: Number(r.user_id), weight: Number(r.entries) || 0 }));
+  const picked = weightedPick(rows, 'weight');
+
+  await client.query(
+    `
+    INSERT INTO giveaway_winners (giveaway_id, user_id, picked_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (giveaway_id)
+    DO UPDATE SET user_id = EXCLUDED.user_id, picked_at = EXCLUDED.picked_at;
+    `,
+    [giveawayId, picked.user_id]
+  );
+
+  await client.query(`UPDATE giveaways SET status = 'ended', updated_at = NOW() WHERE id = $1;`, [giveawayId]);
+
+  const winnerRes = await client.query(
+    `
+    SELECT w.picked_at, u.steam_id, u.display_name, u.avatar, g.title, g.prize_text
+    FROM giveaway_winners w
+    JOIN users u ON u.id = w.user_id
+    JOIN giveaways g ON g.id = w.giveaway_id
+    WHERE w.giveaway_id = $1;
+    `,
+    [giveawayId]
+  );
+  const { title, prize_text: prizeText, ...winner } = winnerRes.rows[0];
+
+  await publishFeedEvent(client, 'giveaway_winner', {
+    giveaway_id: Number(giveawayId),
+    title,
+    prize_text: prizeText,
+    winner: { steam_id: winner.steam_id, display_name: winner.display_name, avatar: winner.avatar }
+  });
+
+  return { winner };
+}
+
+module.exports = { pickWinner };
@@ -0,0 +1,227 @@
+const { marketHashName, marketHashNameSql } = require('./prices');
+const { getPriceChanges } = require('./priceHistory');
+
+// The inventory item shape shared by /api/inventory, /api/users/:steamId/inventory and the
+// profile showcase. Queries select INVENTORY_COLUMNS FROM INVENTORY_FROM. The current value
+// is the admin override or the cached market price, falling back to the drop price when
+// nothing is cached yet.
+const INVENTORY_VALUE_SQL = 'COALESCE(po.price_cents, mc.price_cents, inv.price_cents_at_drop)';
+
+// StatTrak™ and Souvenir copies are priced under their own market hash names.
+const INVENTORY_NAME_SQL = marketHashNameSql('i.market_hash_base', 'inv.wear', 'inv.variant');
+
+const INVENTORY_FROM = `
+  inventory inv
+  JOIN items i ON i.id = inv.item_id
+  LEFT JOIN cases c ON c.id = inv.case_id
+  LEFT JOIN market_cache mc ON mc.market_hash_name = ${INVENTORY_NAME_SQL}
+  LEFT JOIN price_overrides po ON po.market_hash_name = ${INVENTORY_NAME_SQL}`;
+
+const INVENTORY_COLUMNS = `
+  inv.id, inv.wear, inv.float_value, inv.pattern_index, inv.variant, inv.stattrak_kills, inv.price_cents_at_drop,
+  inv.created_at, inv.locked, inv.favorite, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base,
+  c.slug AS case_slug, ${INVENTORY_VALUE_SQL} AS current_price_cents`;
+
+// Keyset sorts: every page continues after the (sort value, id) of the previous page's last row.
+const INVENTORY_SORTS = {
+  date_desc: { expr: 'inv.created_at', type: 'timestamptz', dir: 'DESC' },
+  date_asc: { expr: 'inv.created_at', type: 'timestamptz', dir: 'ASC' },
+  price_desc: { expr: INVENTORY_VALUE_SQL, type: 'bigint', dir: 'DESC' },
+  price_asc: { expr: INVENTORY_VALUE_SQL, type: 'bigint', dir: 'ASC' },
+  float_asc: { expr: 'inv.float_value', type: 'float8', dir: 'ASC' },
+  float_desc: { expr: 'inv.float_value', type: 'float8', dir: 'DESC' }
+};
+
+const MAX_INVENTORY_PAGE = 200;
+
+function encodeCursor(sort, sortKey, id) {
+  return Buffer.from(JSON.stringify([sort, sortKey, Number(id)])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Object.hasOwn(INVENTORY_SORTS, String(sort))) return null;
+    if (typeof sortKey !== 'string' || !Number.isInteger(id)) return null;
+    return { sort, sortKey, id };
+  } catch (_) {
+    return null;
+  }
+}
+
+// Parses the /api/inventory query string. Unusable filter values are ignored, like the
+// market filters; a cursor that cannot be read is an error. With `strict` (selling by
+// filter) an unusable value is an error too, so a typo cannot widen what gets sold.
+// Returns { error } or the filters.
+function parseInventoryQuery(query, { strict = false } = {}) {
+  const invalid = [];
+  const num = (field) => {
+    const v = query[field];
+    if (v === undefined || v === '') return null;
+    const n = Number(v);
+    if (Number.isFinite(n)) return n;
+    invalid.push(field);
+    return null;
+  };
+  const date = (field) => {
+    const v = query[field];
+    if (!v) return null;
+    const d = new Date(String(v));
+    if (!Number.isNaN(d.getTime())) return d.toISOString();
+    invalid.push(field);
+    return null;
+  };
+  const flag = (field) => {
+    const v = query[field];
+    if (v === undefined || v === '') return null;
+    if (v === true || v === 'true') return true;
+    if (v === false || v === 'false') return false;
+    invalid.push(field);
+    return null;
+  };
+  let pattern = num('pattern');
+  if (pattern !== null && !Number.isInteger(pattern)) {
+    invalid.push('pattern');
+    pattern = null;
+  }
+
+  let sort = 'date_desc';
+  if (query.sort !== undefined && query.sort !== '') {
+    if (Object.hasOwn(INVENTORY_SORTS, String(query.sort))) sort = String(query.sort);
+    else invalid.push('sort');
+  }
+
+  // A cursor only makes sense for the sort it came from.
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort) return { error: 'BAD_CURSOR' };
+  }
+
+  const filters = {
+    rarities: query.rarity
+      ? String(query.rarity)
+          .split(',')
+          .map((r) => r.trim().toLowerCase())
+          .filter(Boolean)
+      : null,
+    wear: query.wear ? String(query.wear) : null,
+    weapon: query.weapon ? String(query.weapon) : null,
+    special: flag('special'),
+    locked: flag('locked'),
+    favorite: flag('favorite'),
+    minFloat: num('minFloat'),
+    maxFloat: num('maxFloat'),
+    pattern,
+    caseSlug: query.case ? String(query.case) : null,
+    from: date('from'),
+    to: date('to'),
+    sort,
+    limit: Math.min(Math.max(Number(query.limit) || 50, 1), MAX_INVENTORY_PAGE),
+    cursor
+  };
+  if (strict && invalid.length > 0) return { error: 'BAD_FILTER', fields: invalid };
+  return filters;
+}
+
+// Filter clause shared by the page, the summary and sell-by-filter; $1 is the owner, $2-$13 the filters.
+const INVENTORY_WHERE = `
+  inv.user_id = $1
+  AND ($2::text[] IS NULL OR LOWER(i.rarity) = ANY($2::text[]))
+  AND ($3::text IS NULL OR inv.wear = $3)
+  AND ($4::text IS NULL OR LOWER(i.weapon) = LOWER($4))
+  AND ($5::boolean IS NULL OR i.is_special = $5)
+  AND ($6::float8 IS NULL OR inv.float_value >= $6)
+  AND ($7::float8 IS NULL OR inv.float_value <= $7)
+  AND ($8::int IS NULL OR inv.pattern_index = $8)
+  AND ($9::text IS NULL OR c.slug = $9)
+  AND ($10::timestamptz IS NULL OR inv.created_at >= $10)
+  AND ($11::timestamptz IS NULL OR inv.created_at < $11)
+  AND ($12::boolean IS NULL OR inv.locked = $12)
+  AND ($13::boolean IS NULL OR inv.favorite = $13)`;
+
+function filterParams(userId, f) {
+  return [
+    userId,
+    f.rarities,
+    f.wear,
+    f.weapon,
+    f.special,
+    f.minFloat,
+    f.maxFloat,
+    f.pattern,
+    f.caseSlug,
+    f.from,
+    f.to,
+    f.locked,
+    f.favorite
+  ];
+}
+
+// One page of a user's inventory plus a summary of everything matching the filters.
+// Returns { items, next_cursor, summary }.
+async function listInventory(db, userId, f = parseInventoryQuery({})) {
+  const sort = INVENTORY_SORTS[f.sort];
+  const op = sort.dir === 'DESC' ? '<' : '>';
+
+  const pageRes = await db.query(
+    `
+    SELECT ${INVENTORY_COLUMNS}, (${sort.expr})::text AS sort_key
+    FROM ${INVENTORY_FROM}
+    WHERE ${INVENTORY_WHERE}
+      AND ($14::text IS NULL OR (${sort.expr}, inv.id) ${op} ($14::text::${sort.type}, $15::bigint))
+    ORDER BY ${sort.expr} ${sort.dir}, inv.id ${sort.dir}
+    LIMIT $16;
+    `,
+    [...filterParams(userId, f), f.cursor ? f.cursor.sortKey : null, f.cursor ? f.cursor.id : null, f.limit + 1]
+  );
+
+  const summaryRes = await db.query(
+    `
+    SELECT i.rarity, COUNT(*) AS count, SUM(${INVENTORY_VALUE_SQL}) AS value_cents,
+           SUM(inv.price_cents_at_drop) AS drop_value_cents
+    FROM ${INVENTORY_FROM}
+    WHERE ${INVENTORY_WHERE}
+    GROUP BY i.rarity
+    ORDER BY value_cents DESC;
+    `,
+    filterParams(userId, f)
+  );
+
+  const rows = pageRes.rows.slice(0, f.limit);
+  const last = rows[rows.length - 1];
+  const changes = await getPriceChanges(db, rows.map((r) => marketHashName(r.market_hash_base, r.wear, r.variant)));
+  const byRarity = summaryRes.rows.map((r) => ({
+    rarity: r.rarity,
+    count: Number(r.count),
+    value_cents: Number(r.value_cents || 0),
+    drop_value_cents: Number(r.drop_value_cents || 0)
+  }));
+
+  return {
+    items: rows.map(({ sort_key: _sortKey, ...item }) => ({
+      ...item,
+      current_price_cents: Number(item.current_price_cents || 0),
+      ...changes.get(marketHashName(item.market_hash_base, item.wear, item.variant))
+    })),
+    next_cursor: pageRes.rows.length > f.limit ? encodeCursor(f.sort, last.sort_key, last.id) : null,
+    summary: {
+      count: byRarity.reduce((sum, r) => sum + r.count, 0),
+      value_cents: byRarity.reduce((sum, r) => sum + r.value_cents, 0),
+      drop_value_cents: byRarity.reduce((sum, r) => sum + r.drop_value_cents, 0),
+      by_rarity: byRarity
+    }
+  };
+}
+
+module.exports = {
+  INVENTORY_FROM,
+  INVENTORY_COLUMNS,
+  INVENTORY_VALUE_SQL,
+  INVENTORY_WHERE,
+  INVENTORY_SORTS,
+  MAX_INVENTORY_PAGE,
+  parseInventoryQuery,
+  filterParams,
+  listInventory
+};
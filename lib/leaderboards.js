@@ -0,0 +1,191 @@
+const { applyGems } = require('./ledger');
+const { INVENTORY_FROM, INVENTORY_VALUE_SQL } = require('./inventory');
+
+// Leaderboards. Each category turns a time window into one score per user; openings come
+// from the opening_log view (cases and the player's own battle rounds).
+const LEADERBOARD_CATEGORIES = {
+  best_drop: `
+    SELECT user_id, MAX(price_cents) AS score
+    FROM opening_log
+    WHERE ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)
+    GROUP BY user_id`,
+  cases_opened: `
+    SELECT user_id, COUNT(*) AS score
+    FROM opening_log
+    WHERE ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)
+    GROUP BY user_id`,
+  net_profit: `
+    SELECT user_id, SUM(price_cents - cost_cents) AS score
+    FROM opening_log
+    WHERE ($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)
+    GROUP BY user_id`,
+  // Items held right now at their current value, as in the inventory summary. Holdings are a
+  // snapshot, so every window ranks the same; the window parameters are only typed here.
+  inventory_value: `
+    SELECT inv.user_id, SUM(${INVENTORY_VALUE_SQL}) AS score
+    FROM ${INVENTORY_FROM}
+    WHERE $1::timestamptz IS NULL OR $2::timestamptz IS NULL OR TRUE
+    GROUP BY inv.user_id`
+};
+
+const LEADERBOARD_WINDOWS = {
+  daily: { trunc: 'day', length: "INTERVAL '1 day'" },
+  weekly: { trunc: 'week', length: "INTERVAL '7 days'" },
+  monthly: { trunc: 'month', length: "INTERVAL '1 month'" },
+  all: null
+};
+
+const MAX_LEADERBOARD_PAGE = 100;
+
+const isCategory = (category) => Object.hasOwn(LEADERBOARD_CATEGORIES, category);
+const isWindow = (window) => Object.hasOwn(LEADERBOARD_WINDOWS, window);
+
+// Start and end of the current window, or of the one before it with `previous`.
+// The all-time window has neither.
+async function windowBounds(db, window, { previous = false } = {}) {
+  const w = isWindow(window) ? LEADERBOARD_WINDOWS[window] : null;
+  if (!w) return { start: null, end: null };
+
+  const res = await db.query(
+    previous
+      ? `SELECT date_trunc('${w.trunc}', NOW()) - ${w.length} AS start, date_trunc('${w.trunc}', NOW()) AS "end";`
+      : `SELECT date_trunc('${w.trunc}', NOW()) AS start, date_trunc('${w.trunc}', NOW()) + ${w.length} AS "end";`
+  );
+  return res.rows[0];
+}
+
+function rankedScoresSql(category) {
+  if (!isCategory(category)) throw new Error(`Unknown leaderboard category: ${category}`);
+  return `
+    WITH scores AS (${LEADERBOARD_CATEGORIES[category]}),
+    ranked AS (
+      SELECT user_id, score,
+             RANK() OVER (ORDER BY score DESC) AS rank,
+             ROW_NUMBER() OVER (ORDER BY score DESC, user_id ASC) AS pos
+      FROM scores
+      WHERE score IS NOT NULL
+    )`;
+}
+
+// One page of a board plus the caller's own placing (null when they have no score).
+async function getLeaderboard(db, { category, window, limit = 50, offset = 0, userId = null }) {
+  const { start, end } = await windowBounds(db, window);
+
+  const res = await db.query(
+    `
+    ${rankedScoresSql(category)}
+    SELECT
+      (SELECT COUNT(*) FROM ranked) AS total,
+      (SELECT json_build_object('rank', rank, 'score', score) FROM ranked WHERE user_id = $5) AS me,
+      COALESCE(
+        (
+          SELECT json_agg(p ORDER BY p.pos)
+          FROM (
+            SELECT r.pos, r.rank, r.score, u.steam_id, u.display_name, u.avatar
+            FROM ranked r
+            JOIN users u ON u.id = r.user_id
+            ORDER BY r.pos ASC
+            LIMIT $3 OFFSET $4
+          ) p
+        ),
+        '[]'::json
+      ) AS entries;
+    `,
+    [start, end, limit, offset, userId]
+  );
+  const row = res.rows[0];
+
+  return {
+    category,
+    window,
+    starts_at: start,
+    ends_at: end,
+    total: Number(row.total),
+    limit,
+    offset,
+    entries: row.entries.map((e) => ({
+      rank: Number(e.rank),
+      steam_id: e.steam_id,
+      display_name: e.display_name,
+      avatar: e.avatar,
+      score: Number(e.score)
+    })),
+    me: row.me ? { rank: Number(row.me.rank), score: Number(row.me.score) } : null
+  };
+}
+
+let cachedPrizes = null;
+
+// LEADERBOARD_WEEKLY_PRIZES: JSON of category -> prize per place, e.g.
+// { "cases_opened": [50000, 25000, 10000] }. Unset means weekly boards pay nothing.
+function weeklyPrizes() {
+  if (cachedPrizes) return cachedPrizes;
+
+  let prizes = {};
+  if (process.env.LEADERBOARD_WEEKLY_PRIZES) {
+    try {
+      const parsed = JSON.parse(process.env.LEADERBOARD_WEEKLY_PRIZES);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) prizes = parsed;
+    } catch (err) {
+      console.warn('⚠ LEADERBOARD_WEEKLY_PRIZES is not valid JSON, weekly prizes disabled.');
+    }
+  }
+
+  cachedPrizes = {};
+  for (const [category, list] of Object.entries(prizes)) {
+    if (!isCategory(category) || !Array.isArray(list)) continue;
+    cachedPrizes[category] = list.map((p) => Math.max(0, Math.floor(Number(p) || 0)));
+  }
+  return cachedPrizes;
+}
+
+// Pays the top places of last week's boards. Each place is recorded in leaderboard_payouts
+// first, so running this again for the same week pays nothing new.
+async function payWeeklyPrizes(client, category) {
+  const prizes = weeklyPrizes()[category] || [];
+  if (prizes.length === 0) return [];
+
+  const { start, end } = await windowBounds(client, 'weekly', { previous: true });
+  const res = await client.query(
+    `
+    ${rankedScoresSql(category)}
+    SELECT user_id, score, pos
+    FROM ranked
+    WHERE pos <= $3
+    ORDER BY pos ASC;
+    `,
+    [start, end, prizes.length]
+  );
+
+  const paid = [];
+  for (const r of res.rows) {
+    const prize = prizes[Number(r.pos) - 1];
+    if (!prize) continue;
+
+    const ins = await client.query(
+      `
+      INSERT INTO leaderboard_payouts (category, period, period_start, rank, user_id, score, prize_cents)
+      VALUES ($1, 'weekly', $2, $3, $4, $5, $6)
+      ON CONFLICT (category, period, period_start, rank) DO NOTHING
+      RETURNING id;
+      `,
+      [category, start, r.pos, r.user_id, r.score, prize]
+    );
+    if (ins.rowCount === 0) continue;
+
+    await applyGems(client, r.user_id, prize, 'leaderboard_prize', ins.rows[0].id);
+    paid.push({ user_id: Number(r.user_id), rank: Number(r.pos), prize_cents: prize });
+  }
+  return paid;
+}
+
+module.exports = {
+  LEADERBOARD_CATEGORIES,
+  LEADERBOARD_WINDOWS,
+  MAX_LEADERBOARD_PAGE,
+  isCategory,
+  isWindow,
+  getLeaderboard,
+  weeklyPrizes,
+  payWeeklyPrizes
+};
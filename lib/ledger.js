@@ -0,0 +1,107 @@
+const { publishFeedEvent } = require('./liveFeed');
+
+// Gem ledger. Every change to users.gems_cents goes through applyGems() inside the
+// caller's transaction, so the ledger row and the balance commit (or roll back) together.
+
+async function recordLedger(client, { userId, amountCents, reason, refId = null, balanceAfterCents }) {
+  await client.query(
+    `
+    INSERT INTO gem_ledger (user_id, amount_cents, reason, ref_id, balance_after_cents)
+    VALUES ($1, $2, $3, $4, $5);
+    `,
+    [userId, amountCents, reason, refId, balanceAfterCents]
+  );
+
+  // Private live-feed event: only this user's feed connections receive it.
+  await publishFeedEvent(
+    client,
+    'balance',
+    { balance_cents: Number(balanceAfterCents), amount_cents: Number(amountCents), reason },
+    { userId }
+  );
+}
+
+// Adds `amountCents` (negative to debit) to the user's balance and returns the new balance.
+// Callers are responsible for checking the balance is sufficient before debiting.
+async function applyGems(client, userId, amountCents, reason, refId = null) {
+  const amount = Math.round(Number(amountCents) || 0);
+
+  const res = await client.query(
+    `
+    UPDATE users
+    SET gems_cents = gems_cents + $1, updated_at = NOW()
+    WHERE id = $2
+    RETURNING gems_cents;
+    `,
+    [amount, userId]
+  );
+  if (res.rowCount === 0) throw new Error(`applyGems: user ${userId} not found`);
+
+  const balance = Number(res.rows[0].gems_cents || 0);
+  await recordLedger(client, { userId, amountCents: amount, reason, refId, balanceAfterCents: balance });
+  return balance;
+}
+
+// Newest first, cursor-paginated by ledger id.
+async function listTransactions(db, userId, { limit = 50, before = null } = {}) {
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  const cursor = Number(before);
+  const hasCursor = Number.isFinite(cursor) && cursor > 0;
+
+  const res = await db.query(
+    `
+    SELECT id, amount_cents, reason, ref_id, balance_after_cents, created_at
+    FROM gem_ledger
+    WHERE user_id = $1 AND ($2::bigint IS NULL OR id < $2)
+    ORDER BY id DESC
+    LIMIT $3;
+    `,
+    [userId, hasCursor ? cursor : null, pageSize + 1]
+  );
+
+  const rows = res.rows.slice(0, pageSize).map((r) => ({
+    id: Number(r.id),
+    amount_cents: Number(r.amount_cents),
+    reason: r.reason,
+    ref_id: r.ref_id === null ? null : Number(r.ref_id),
+    balance_after_cents: Number(r.balance_after_cents),
+    created_at: r.created_at
+  }));
+
+  return {
+    transactions: rows,
+    next_cursor: res.rows.length > pageSize ? rows[rows.length - 1].id : null
+  };
+}
+
+// Users whose balance does not equal the sum of their ledger rows.
+async function findBalanceMismatches(db, { limit = 500 } = {}) {
+  const res = await db.query(
+    `
+    SELECT u.id, u.steam_id, u.display_name, u.gems_cents,
+           COALESCE(l.total_cents, 0) AS ledger_cents,
+           u.gems_cents - COALESCE(l.total_cents, 0) AS drift_cents
+    FROM users u
+    LEFT JOIN (
+      SELECT user_id, SUM(amount_cents) AS total_cents
+      FROM gem_ledger
+      GROUP BY user_id
+    ) l ON l.user_id = u.id
+    WHERE u.gems_cents <> COALESCE(l.total_cents, 0)
+    ORDER BY ABS(u.gems_cents - COALESCE(l.total_cents, 0)) DESC
+    LIMIT $1;
+    `,
+    [limit]
+  );
+
+  return res.rows.map((r) => ({
+    user_id: Number(r.id),
+    steam_id: r.steam_id,
+    display_name: r.display_name,
+    gems_cents: Number(r.gems_cents),
+    ledger_cents: Number(r.ledger_cents),
+    drift_cents: Number(r.drift_cents)
+  }));
+}
+
+module.exports = { recordLedger, applyGems, listTransactions, findBalanceMismatches };
@@ -0,0 +1,151 @@
+// Live feed over Server-Sent Events.
+//
+// Events are published with pg_notify inside the transaction that causes them, so they only
+// go out once it commits and every instance sees them. Each instance keeps one LISTEN
+// connection, a backlog of the last events for reconnecting clients, and its own open
+// EventSource connections. Events with a user id (balance updates) only go to that user.
+//
+// Ids come from live_feed_seq when an event is published, not when its transaction commits,
+// so a lower id can arrive after a higher one. Notifications are delivered in commit order on
+// every instance, though, so replay resumes after the client's last event in the backlog
+// instead of comparing ids.
+
+const FEED_CHANNEL = 'live_feed';
+const FEED_HEARTBEAT_MS = 25000;
+const FEED_RECONNECT_MS = 5000;
+
+// Lowest to highest; special (gold) items rank above everything.
+const FEED_RARITIES = ['consumer', 'industrial', 'mil-spec', 'restricted', 'classified', 'covert', 'gold'];
+
+async function publishFeedEvent(client, type, data, { userId = null } = {}) {
+  await client.query(
+    `
+    SELECT pg_notify(
+      $1,
+      json_build_object('id', nextval('live_feed_seq'), 'type', $2::text, 'user_id', $3::bigint,
+                        'data', $4::json, 'at', NOW())::text
+    );
+    `,
+    [FEED_CHANNEL, type, userId, JSON.stringify(data)]
+  );
+}
+
+function rarityRank(item) {
+  if (item && item.is_special) return FEED_RARITIES.length - 1;
+  return FEED_RARITIES.indexOf(String((item && item.rarity) || '').toLowerCase());
+}
+
+// ?minRarity=Classified&minPrice=1000&types=drop,giveaway_winner
+function parseFeedFilters(query) {
+  const minRarity = query.minRarity ? FEED_RARITIES.indexOf(String(query.minRarity).toLowerCase()) : -1;
+  const minPrice = Number(query.minPrice);
+  const types = query.types
+    ? new Set(
+        String(query.types)
+          .split(',')
+          .map((t) => t.trim())
+          .filter(Boolean)
+      )
+    : null;
+
+  return {
+    minRarity: minRarity >= 0 ? minRarity : null,
+    minPrice: Number.isFinite(minPrice) && minPrice > 0 ? minPrice : null,
+    types
+  };
+}
+
+function matchesFeedFilters(event, filters) {
+  if (filters.types && !filters.types.has(event.type)) return false;
+  if (event.type !== 'drop') return true;
+  if (filters.minRarity !== null && rarityRank(event.data.item) < filters.minRarity) return false;
+  if (filters.minPrice !== null && Number(event.data.price_cents || 0) < filters.minPrice) return false;
+  return true;
+}
+
+function createLiveFeed(pool, { backlogSize = 50 } = {}) {
+  const backlog = [];
+  const subscribers = new Set();
+
+  function send(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+  }
+
+  function onNotification(msg) {
+    let event;
+    try {
+      event = JSON.parse(msg.payload);
+    } catch (_) {
+      return;
+    }
+
+    const userId = event.user_id === null ? null : Number(event.user_id);
+    backlog.push(event);
+    if (backlog.length > backlogSize) backlog.shift();
+
+    for (const sub of subscribers) {
+      if (userId !== null && userId !== sub.userId) continue;
+      if (matchesFeedFilters(event, sub.filters)) send(sub.res, event);
+    }
+  }
+
+  // Holds one pool connection for LISTEN and keeps retrying if it drops.
+  async function start() {
+    let client = null;
+    let failed = false;
+    const retry = (err) => {
+      if (failed) return;
+      failed = true;
+      console.error('live feed listener failed:', err);
+      if (client) client.release(err);
+      setTimeout(start, FEED_RECONNECT_MS);
+    };
+
+    try {
+      client = await pool.connect();
+      client.on('notification', onNotification);
+      client.on('error', retry);
+      await client.query(`LISTEN ${FEED_CHANNEL};`);
+    } catch (err) {
+      retry(err);
+    }
+  }
+
+  // Backlog events committed after `lastEventId`. When that event is no longer in the backlog
+  // (the client was away too long, or this instance never saw it) the whole backlog is replayed:
+  // a repeated event is harmless, a skipped one is lost.
+  function missedEvents(lastEventId) {
+    const last = lastEventId ? backlog.findIndex((e) => String(e.id) === String(lastEventId)) : -1;
+    return backlog.slice(last + 1);
+  }
+
+  // Streams events to one EventSource. `lastEventId` (the Last-Event-ID header on reconnect)
+  // limits the backlog replay to what the client missed.
+  function subscribe(req, res, { filters, userId = null, lastEventId = null }) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    res.write(`retry: ${FEED_RECONNECT_MS}\n\n`);
+
+    const sub = { res, filters, userId: userId === null ? null : Number(userId) };
+
+    for (const event of missedEvents(lastEventId)) {
+      if (event.user_id !== null && Number(event.user_id) !== sub.userId) continue;
+      if (matchesFeedFilters(event, filters)) send(res, event);
+    }
+    subscribers.add(sub);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), FEED_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscribers.delete(sub);
+    });
+  }
+
+  return { start, subscribe };
+}
+
+module.exports = { FEED_RARITIES, publishFeedEvent, parseFeedFilters, matchesFeedFilters, createLiveFeed };
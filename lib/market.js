@@ -0,0 +1,191 @@
+const { applyGems } = require('./ledger');
+
+// Community marketplace.
+//
+// A listed item stays in the seller's inventory until it sells, but anything that would
+// consume or move it (selling, trading, upgrading, trade-ups) must refuse it while the
+// listing is active. Buy orders escrow max_price * quantity up front and refund the
+// difference when they fill below their limit. The sale fee is burned.
+
+const MAX_BUY_ORDER_QUANTITY = 100;
+
+function marketFeeRate() {
+  return Math.min(Math.max(Number(process.env.MARKET_FEE_RATE ?? 0.05), 0), 0.5);
+}
+
+function feeFor(priceCents) {
+  return Math.round(Number(priceCents) * marketFeeRate());
+}
+
+// Returns the subset of `inventoryIds` that currently have an active listing.
+async function listedInventoryIds(db, inventoryIds) {
+  if (inventoryIds.length === 0) return new Set();
+  const res = await db.query(
+    `SELECT inventory_id FROM market_listings WHERE status = 'active' AND inventory_id = ANY($1::bigint[]);`,
+    [inventoryIds]
+  );
+  return new Set(res.rows.map((r) => Number(r.inventory_id)));
+}
+
+// Completes a sale of a locked, active listing. Without `order` the buyer pays now;
+// with `order` the price comes out of the order's escrow. Returns { error } when the item has
+// left the seller's inventory; the stale listing is then cancelled and no gems move.
+async function executeSale(client, listing, { buyerId, order = null }) {
+  const price = Number(listing.price_cents);
+  const fee = feeFor(price);
+
+  // The update locks the inventory row and only moves it if the seller still owns it.
+  const moved = await client.query('UPDATE inventory SET user_id = $1 WHERE id = $2 AND user_id = $3;', [
+    buyerId,
+    listing.inventory_id,
+    listing.seller_id
+  ]);
+  if (moved.rowCount !== 1) {
+    await client.query(`UPDATE market_listings SET status = 'cancelled', closed_at = NOW() WHERE id = $1;`, [
+      listing.id
+    ]);
+    return { error: 'ITEM_NO_LONGER_AVAILABLE' };
+  }
+
+  if (order) {
+    const refund = Number(order.max_price_cents) - price;
+    if (refund > 0) await applyGems(client, buyerId, refund, 'buy_order_refund', order.id);
+
+    await client.query(
+      `
+      UPDATE market_buy_orders
+      SET filled = filled + 1,
+          status = CASE WHEN filled + 1 >= quantity THEN 'filled' ELSE status END,
+          updated_at = NOW()
+      WHERE id = $1;
+      `,
+      [order.id]
+    );
+  } else {
+    await applyGems(client, buyerId, -price, 'market_purchase', listing.id);
+  }
+
+  await applyGems(client, listing.seller_id, price - fee, 'market_sale', listing.id);
+
+  await client.query(
+    `
+    UPDATE market_listings
+    SET status = 'sold', buyer_id = $1, buy_order_id = $2, fee_cents = $3, closed_at = NOW()
+    WHERE id = $4;
+    `,
+    [buyerId, order ? order.id : null, fee, listing.id]
+  );
+
+  return { price_cents: price, fee_cents: fee };
+}
+
+// A new listing fills the best matching buy order, if any.
+async function matchListing(client, listing) {
+  const oRes = await client.query(
+    `
+    SELECT *
+    FROM market_buy_orders
+    WHERE status = 'active' AND market_hash_name = $1 AND max_price_cents >= $2 AND user_id <> $3
+    ORDER BY max_price_cents DESC, created_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED;
+    `,
+    [listing.market_hash_name, listing.price_cents, listing.seller_id]
+  );
+  if (oRes.rowCount === 0) return null;
+
+  const order = oRes.rows[0];
+  const sale = await executeSale(client, listing, { buyerId: order.user_id, order });
+  if (sale.error) return null;
+  return { buy_order_id: Number(order.id), ...sale };
+}
+
+// A new buy order takes the cheapest matching listings, up to its quantity.
+async function matchBuyOrder(client, order) {
+  const lRes = await client.query(
+    `
+    SELECT *
+    FROM market_listings
+    WHERE status = 'active' AND market_hash_name = $1 AND price_cents <= $2 AND seller_id <> $3
+    ORDER BY price_cents ASC, created_at ASC
+    LIMIT $4
+    FOR UPDATE SKIP LOCKED;
+    `,
+    [order.market_hash_name, order.max_price_cents, order.user_id, Number(order.quantity) - Number(order.filled)]
+  );
+
+  const fills = [];
+  for (const listing of lRes.rows) {
+    const sale = await executeSale(client, listing, { buyerId: order.user_id, order });
+    if (sale.error) continue;
+    fills.push({ listing_id: Number(listing.id), inventory_id: Number(listing.inventory_id), ...sale });
+  }
+  return fills;
+}
+
+function parseListingFilters(query) {
+  const num = (v) => {
+    if (v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  };
+  const sorts = {
+    price_asc: 'l.price_cents ASC, l.id ASC',
+    price_desc: 'l.price_cents DESC, l.id DESC',
+    float_asc: 'l.float_value ASC, l.id ASC',
+    float_desc: 'l.float_value DESC, l.id DESC',
+    newest: 'l.created_at DESC, l.id DESC'
+  };
+
+  return {
+    name: query.name ? String(query.name) : null,
+    q: query.q ? String(query.q).slice(0, 64) : null,
+    rarity: query.rarity ? String(query.rarity) : null,
+    wear: query.wear ? String(query.wear) : null,
+    minFloat: num(query.minFloat),
+    maxFloat: num(query.maxFloat),
+    minPrice: num(query.minPrice),
+    maxPrice: num(query.maxPrice),
+    orderBy: Object.hasOwn(sorts, String(query.sort)) ? sorts[query.sort] : sorts.newest,
+    limit: Math.min(Math.max(Number(query.limit) || 50, 1), 100),
+    offset: Math.max(Number(query.offset) || 0, 0)
+  };
+}
+
+async function searchListings(db, f) {
+  const res = await db.query(
+    `
+    SELECT l.id, l.inventory_id, l.market_hash_name, l.wear, l.float_value, l.pattern_index, l.price_cents,
+           l.created_at, i.id AS item_id, i.name, i.weapon, i.rarity, i.is_special, i.image_url,
+           u.steam_id AS seller_steam_id, u.display_name AS seller_display_name
+    FROM market_listings l
+    JOIN items i ON i.id = l.item_id
+    JOIN users u ON u.id = l.seller_id
+    WHERE l.status = 'active'
+      AND ($1::text IS NULL OR l.market_hash_name = $1)
+      AND ($2::text IS NULL OR l.market_hash_name ILIKE '%' || $2 || '%')
+      AND ($3::text IS NULL OR LOWER(i.rarity) = LOWER($3))
+      AND ($4::text IS NULL OR l.wear = $4)
+      AND ($5::float8 IS NULL OR l.float_value >= $5)
+      AND ($6::float8 IS NULL OR l.float_value <= $6)
+      AND ($7::bigint IS NULL OR l.price_cents >= $7)
+      AND ($8::bigint IS NULL OR l.price_cents <= $8)
+    ORDER BY ${f.orderBy}
+    LIMIT $9 OFFSET $10;
+    `,
+    [f.name, f.q, f.rarity, f.wear, f.minFloat, f.maxFloat, f.minPrice, f.maxPrice, f.limit, f.offset]
+  );
+  return res.rows;
+}
+
+module.exports = {
+  MAX_BUY_ORDER_QUANTITY,
+  marketFeeRate,
+  feeFor,
+  listedInventoryIds,
+  executeSale,
+  matchListing,
+  matchBuyOrder,
+  parseListingFilters,
+  searchListings
+};
@@ -0,0 +1,170 @@
+const { applyGems } = require('./ledger');
+const { matchesCriteria } = require('./rules');
+
+// Daily / weekly missions. Each period a user gets a few random templates
+// (MISSIONS_PER_DAY / MISSIONS_PER_WEEK); progress comes from the same events as
+// achievements and the reward is claimed by hand once the target is reached.
+
+const PERIODS = {
+  daily: { start: 'CURRENT_DATE', length: "INTERVAL '1 day'", env: 'MISSIONS_PER_DAY', fallback: 3 },
+  weekly: {
+    start: "date_trunc('week', NOW())::date",
+    length: "INTERVAL '7 days'",
+    env: 'MISSIONS_PER_WEEK',
+    fallback: 2
+  }
+};
+
+function missionsPer(period) {
+  const p = PERIODS[period];
+  return Math.max(0, Number(process.env[p.env] ?? p.fallback));
+}
+
+// Gives the user this period's missions if they do not have them yet. Idempotent: the user
+// row is locked while counting and inserting, so a concurrent request and the rotation job
+// cannot both top up the same period.
+async function assignMissions(pool, userId) {
+  let assigned = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE;', [userId]);
+
+    for (const [period, p] of Object.entries(PERIODS)) {
+      const wanted = missionsPer(period);
+
+      const haveRes = await client.query(
+        `SELECT COUNT(*) AS n FROM user_missions WHERE user_id = $1 AND period = $2 AND period_start = ${p.start};`,
+        [userId, period]
+      );
+      const missing = wanted - Number(haveRes.rows[0].n || 0);
+      if (missing <= 0) continue;
+
+      const ins = await client.query(
+        `
+        WITH picked AS (
+          SELECT t.*
+          FROM mission_templates t
+          WHERE t.period = $2 AND t.active = TRUE
+            AND NOT EXISTS (
+              SELECT 1 FROM user_missions um
+              WHERE um.user_id = $1 AND um.template_id = t.id AND um.period_start = ${p.start}
+            )
+          ORDER BY random()
+          LIMIT $3
+        )
+        INSERT INTO user_missions
+          (user_id, template_id, period, period_start, expires_at, case_id, title, target, reward_cents)
+        SELECT $1, picked.id, picked.period, ${p.start}, (${p.start})::timestamptz + ${p.length},
+               c.id, replace(picked.title, '{case}', COALESCE(c.name, 'any')), picked.target, picked.reward_cents
+        FROM picked
+        LEFT JOIN LATERAL (
+          SELECT id, name FROM cases WHERE active = TRUE AND picked.per_case ORDER BY random() LIMIT 1
+        ) c ON TRUE
+        ON CONFLICT (user_id, template_id, period_start) DO NOTHING;
+        `,
+        [userId, period, missing]
+      );
+      assigned += ins.rowCount;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (_) {}
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return assigned;
+}
+
+// Adds progress to the user's open missions for `event`. Runs inside the caller's
+// transaction; returns the missions this event completed.
+async function processMissions(client, userId, event, payloads) {
+  const res = await client.query(
+    `
+    SELECT um.id, um.case_id, um.title, um.progress, um.target, um.reward_cents,
+           t.criteria, t.metric, t.metric_field
+    FROM user_missions um
+    JOIN mission_templates t ON t.id = um.template_id
+    WHERE um.user_id = $1 AND t.event = $2 AND um.completed_at IS NULL AND um.expires_at > NOW()
+    FOR UPDATE OF um;
+    `,
+    [userId, event]
+  );
+
+  const completed = [];
+  for (const m of res.rows) {
+    let gained = 0;
+    for (const payload of payloads) {
+      if (m.case_id !== null && Number(payload.case_id) !== Number(m.case_id)) continue;
+      if (!matchesCriteria(m.criteria, payload)) continue;
+      gained += m.metric === 'sum' ? Math.max(0, Number(payload[m.metric_field]) || 0) : 1;
+    }
+    if (gained === 0) continue;
+
+    const progress = Math.min(Number(m.progress) + gained, Number(m.target));
+    const done = progress >= Number(m.target);
+    await client.query(
+      `UPDATE user_missions SET progress = $1, completed_at = ${done ? 'NOW()' : 'NULL'} WHERE id = $2;`,
+      [progress, m.id]
+    );
+    if (done) completed.push({ id: Number(m.id), title: m.title, reward_cents: Number(m.reward_cents) });
+  }
+  return completed;
+}
+
+async function listMissions(db, userId) {
+  const res = await db.query(
+    `
+    SELECT um.id, um.period, um.period_start, um.expires_at, um.title, um.progress, um.target, um.reward_cents,
+           um.completed_at, um.claimed_at, c.slug AS case_slug
+    FROM user_missions um
+    LEFT JOIN cases c ON c.id = um.case_id
+    WHERE um.user_id = $1
+      AND (um.expires_at > NOW() OR (um.completed_at IS NOT NULL AND um.claimed_at IS NULL))
+    ORDER BY um.period ASC, um.expires_at DESC, um.id ASC;
+    `,
+    [userId]
+  );
+
+  return res.rows.map((r) => ({
+    id: Number(r.id),
+    period: r.period,
+    period_start: r.period_start,
+    expires_at: r.expires_at,
+    title: r.title,
+    case_slug: r.case_slug,
+    progress: Number(r.progress),
+    target: Number(r.target),
+    reward_cents: Number(r.reward_cents),
+    completed: r.completed_at !== null,
+    completed_at: r.completed_at,
+    claimed_at: r.claimed_at
+  }));
+}
+
+// Pays out a completed mission once. Returns { error } or { reward_cents, balance_cents }.
+async function claimMission(client, userId, missionId) {
+  const res = await client.query('SELECT * FROM user_missions WHERE id = $1 AND user_id = $2 FOR UPDATE;', [
+    missionId,
+    userId
+  ]);
+  if (res.rowCount === 0) return { error: 'MISSION_NOT_FOUND' };
+
+  const m = res.rows[0];
+  if (m.completed_at === null) return { error: 'MISSION_NOT_COMPLETED' };
+  if (m.claimed_at !== null) return { error: 'MISSION_ALREADY_CLAIMED' };
+
+  await client.query('UPDATE user_missions SET claimed_at = NOW() WHERE id = $1;', [missionId]);
+  const reward = Number(m.reward_cents || 0);
+  const balance = await applyGems(client, userId, reward, 'mission_reward', missionId);
+
+  return { reward_cents: reward, balance_cents: balance };
+}
+
+module.exports = { assignMissions, processMissions, listMissions, claimMission };
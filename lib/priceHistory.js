@@ -0,0 +1,151 @@
+// Price history recorded from market_cache and price_overrides (see sql/018_price_history.sql and
+// sql/019_price_overrides.sql). Recent prices are kept as raw points; compactPriceHistory rolls
+// older ones into daily open/high/low/close rows. Days are UTC.
+
+const MAX_HISTORY_DAYS = 365;
+const PRICE_CHANGE_WINDOWS = [7, 30];
+
+function rawRetentionDays() {
+  return Math.max(Number(process.env.PRICE_HISTORY_RAW_DAYS ?? 30), 1);
+}
+
+const UTC_DAY = "(recorded_at AT TIME ZONE 'UTC')::date";
+
+// The last known price at least `days` ago, from raw points or daily closes; `n.name` is the outer name.
+function pastPriceSql(days) {
+  return `
+    SELECT p.price_cents FROM (
+      (SELECT ph.price_cents, ph.recorded_at AS at
+       FROM price_history ph
+       WHERE ph.market_hash_name = n.name AND ph.recorded_at <= NOW() - INTERVAL '${days} days'
+       ORDER BY ph.recorded_at DESC
+       LIMIT 1)
+      UNION ALL
+      (SELECT d.close_cents, (d.day + 1)::timestamp AT TIME ZONE 'UTC' AS at
+       FROM price_history_daily d
+       WHERE d.market_hash_name = n.name
+         AND (d.day + 1)::timestamp AT TIME ZONE 'UTC' <= NOW() - INTERVAL '${days} days'
+       ORDER BY d.day DESC
+       LIMIT 1)
+    ) p
+    ORDER BY p.at DESC
+    LIMIT 1`;
+}
+
+// 7 and 30 day changes as fractions of the old price (0.05 = +5%), null without enough history.
+// Returns a Map of name -> { price_change_7d, price_change_30d }.
+async function getPriceChanges(db, names) {
+  const unique = [...new Set(names)];
+  if (unique.length === 0) return new Map();
+
+  const res = await db.query(
+    `
+    SELECT n.name, COALESCE(po.price_cents, mc.price_cents) AS current_cents,
+           ${PRICE_CHANGE_WINDOWS.map((d) => `(${pastPriceSql(d)}) AS past_${d}d`).join(',\n           ')}
+    FROM unnest($1::text[]) AS n(name)
+    LEFT JOIN market_cache mc ON mc.market_hash_name = n.name
+    LEFT JOIN price_overrides po ON po.market_hash_name = n.name;
+    `,
+    [unique]
+  );
+
+  const out = new Map();
+  for (const r of res.rows) {
+    const changes = {};
+    for (const d of PRICE_CHANGE_WINDOWS) {
+      const past = Number(r[`past_${d}d`]);
+      changes[`price_change_${d}d`] =
+        r.current_cents === null || !past ? null : (Number(r.current_cents) - past) / past;
+    }
+    out.set(r.name, changes);
+  }
+  return out;
+}
+
+// Chart data for one market hash name over the last `days`: the raw points still kept plus one
+// open/high/low/close row per day (compacted days and recent days alike).
+async function getPriceHistory(db, name, { days = 30 } = {}) {
+  const span = Math.min(Math.max(Math.floor(Number(days)) || 30, 1), MAX_HISTORY_DAYS);
+
+  const pointsRes = await db.query(
+    `
+    SELECT price_cents, recorded_at
+    FROM price_history
+    WHERE market_hash_name = $1 AND recorded_at >= NOW() - make_interval(days => $2)
+    ORDER BY recorded_at ASC, id ASC;
+    `,
+    [name, span]
+  );
+
+  const dailyRes = await db.query(
+    `
+    SELECT day, open_cents, high_cents, low_cents, close_cents, points
+    FROM price_history_daily
+    WHERE market_hash_name = $1 AND day >= (NOW() AT TIME ZONE 'UTC')::date - $2::int
+    UNION ALL
+    SELECT ${UTC_DAY} AS day,
+           (array_agg(price_cents ORDER BY recorded_at ASC, id ASC))[1],
+           MAX(price_cents),
+           MIN(price_cents),
+           (array_agg(price_cents ORDER BY recorded_at DESC, id DESC))[1],
+           COUNT(*)
+    FROM price_history
+    WHERE market_hash_name = $1 AND ${UTC_DAY} >= (NOW() AT TIME ZONE 'UTC')::date - $2::int
+    GROUP BY 1
+    ORDER BY day ASC;
+    `,
+    [name, span]
+  );
+
+  return {
+    market_hash_name: name,
+    days: span,
+    points: pointsRes.rows.map((r) => ({ price_cents: Number(r.price_cents), at: r.recorded_at })),
+    daily: dailyRes.rows.map((r) => ({
+      day: r.day,
+      open_cents: Number(r.open_cents),
+      high_cents: Number(r.high_cents),
+      low_cents: Number(r.low_cents),
+      close_cents: Number(r.close_cents),
+      points: Number(r.points)
+    }))
+  };
+}
+
+// Moves raw points from whole UTC days older than `rawDays` into price_history_daily.
+// A single statement, so a failed run leaves everything where it was.
+async function compactPriceHistory(db, { rawDays = rawRetentionDays() } = {}) {
+  const res = await db.query(
+    `
+    WITH old AS (
+      DELETE FROM price_history
+      WHERE recorded_at < ((NOW() AT TIME ZONE 'UTC')::date - $1::int)::timestamp AT TIME ZONE 'UTC'
+      RETURNING id, market_hash_name, price_cents, recorded_at
+    ),
+    rolled AS (
+      INSERT INTO price_history_daily
+        (market_hash_name, day, open_cents, high_cents, low_cents, close_cents, points)
+      SELECT market_hash_name, ${UTC_DAY},
+             (array_agg(price_cents ORDER BY recorded_at ASC, id ASC))[1],
+             MAX(price_cents),
+             MIN(price_cents),
+             (array_agg(price_cents ORDER BY recorded_at DESC, id DESC))[1],
+             COUNT(*)
+      FROM old
+      GROUP BY 1, 2
+      ON CONFLICT (market_hash_name, day) DO UPDATE SET
+        high_cents = GREATEST(price_history_daily.high_cents, EXCLUDED.high_cents),
+        low_cents = LEAST(price_history_daily.low_cents, EXCLUDED.low_cents),
+        close_cents = EXCLUDED.close_cents,
+        points = price_history_daily.points + EXCLUDED.points
+      RETURNING 1
+    )
+    SELECT (SELECT COUNT(*) FROM old) AS points, (SELECT COUNT(*) FROM rolled) AS days;
+    `,
+    [rawDays]
+  );
+
+  return { points: Number(res.rows[0].points), days: Number(res.rows[0].days) };
+}
+
+module.exports = { MAX_HISTORY_DAYS, getPriceChanges, getPriceHistory, compactPriceHistory };
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Where market prices come from when lib/prices fetches a name market_cache has never seen or
+// refreshes a stale one. Admin overrides are not a provider: lib/prices applies them before the
+// cache and the chain, so an overridden name never gets here.
+//
+// Providers are tried in order (MARKET_PROVIDERS, e.g. "fixture,steam,mock"); the first one
+// with a price wins. Without MARKET_PROVIDERS the chain follows MARKET_MODE: steam falls back
+// to the deterministic mock, mock is mock only.
+//
+// Each provider has its own circuit breaker (after PRICE_PROVIDER_FAILURE_THRESHOLD errors in
+// a row it is skipped for PRICE_PROVIDER_COOLDOWN_SECONDS, then gets one trial call) and rate
+// limit in calls per minute (0 = unlimited). Counters are per process and reset on restart.
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// "$1,234.56" / "1,23€" -> cents: a separator followed by exactly two digits at the end is the decimal point.
+function parsePriceText(text) {
+  const [, whole, decimals] = String(text || '')
+    .replace(/[^0-9.,]/g, '')
+    .match(/^(.*?)(?:[.,](\d{2}))?$/);
+  const units = whole.replace(/[.,]/g, '');
+  if (!units && !decimals) return null;
+  return Number(units || 0) * 100 + Number(decimals || 0);
+}
+
+const steamProvider = {
+  name: 'steam',
+  ratePerMinute: () => envNumber('STEAM_MARKET_RATE_PER_MINUTE', 20),
+  async fetch(name) {
+    const res = await axios.get('https://steamcommunity.com/market/priceoverview/', {
+      params: { appid: 730, currency: envNumber('STEAM_MARKET_CURRENCY', 1), market_hash_name: name },
+      timeout: envNumber('STEAM_MARKET_TIMEOUT_MS', 8000)
+    });
+    if (!res.data || !res.data.success) return null;
+    return parsePriceText(res.data.lowest_price || res.data.median_price);
+  }
+};
+
+// Same name, same price, every time: 5 cents to $500, spread log-uniformly.
+const mockProvider = {
+  name: 'mock',
+  ratePerMinute: () => 0,
+  async fetch(name) {
+    const u = crypto.createHash('sha256').update(String(name)).digest().readUInt32BE(0) / 2 ** 32;
+    return Math.round(5 * 10000 ** u);
+  }
+};
+
+let fixturePrices = null;
+
+// PRICE_FIXTURE_FILE: JSON ({ "name": cents } or [{ "market_hash_name", "price_cents" }]) or
+// CSV with a market_hash_name,price_cents header. Read once per process; a file that cannot
+// be read counts as a provider error on every call, so it shows up in the provider health.
+function loadFixturePrices() {
+  if (fixturePrices) return fixturePrices;
+
+  const prices = new Map();
+  const file = process.env.PRICE_FIXTURE_FILE;
+  if (!file) {
+    fixturePrices = prices;
+    return fixturePrices;
+  }
+
+  const text = fs.readFileSync(path.resolve(file), 'utf8');
+  if (file.toLowerCase().endsWith('.csv')) {
+    for (const line of text.split(/\r?\n/).slice(1)) {
+      // Names can contain commas; the price is always the last column.
+      const comma = line.lastIndexOf(',');
+      if (comma <= 0) continue;
+      const name = line.slice(0, comma).trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"');
+      prices.set(name, Number(line.slice(comma + 1)));
+    }
+  } else {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed)
+      ? parsed.map((r) => [r.market_hash_name, r.price_cents])
+      : Object.entries(parsed || {});
+    for (const [name, cents] of rows) prices.set(String(name), Number(cents));
+  }
+  fixturePrices = prices;
+  return fixturePrices;
+}
+
+const fixtureProvider = {
+  name: 'fixture',
+  ratePerMinute: () => 0,
+  async fetch(name) {
+    const cents = loadFixturePrices().get(name);
+    return Number.isFinite(cents) ? Math.round(cents) : null;
+  }
+};
+
+const PRICE_PROVIDERS = {
+  fixture: fixtureProvider,
+  steam: steamProvider,
+  mock: mockProvider
+};
+
+let cachedChain = null;
+
+function providerChain() {
+  if (cachedChain) return cachedChain;
+
+  const fallback = String(process.env.MARKET_MODE || 'steam').toLowerCase() === 'mock' ? 'mock' : 'steam,mock';
+  // Overrides apply before the chain, so a "manual" entry is accepted and ignored.
+  const names = String(process.env.MARKET_PROVIDERS || fallback)
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter((n) => n && n !== 'manual');
+
+  const unknown = names.filter((n) => !Object.hasOwn(PRICE_PROVIDERS, n));
+  if (unknown.length > 0) {
+    console.warn(`⚠ MARKET_PROVIDERS has unknown providers (${unknown.join(', ')}), skipping them.`);
+  }
+
+  cachedChain = names.filter((n) => Object.hasOwn(PRICE_PROVIDERS, n));
+  return cachedChain;
+}
+
+// Token bucket refilled continuously; `perMinute` <= 0 never limits.
+function createRateLimiter(perMinute) {
+  let tokens = perMinute;
+  let refilledAt = Date.now();
+
+  return {
+    tryTake() {
+      if (perMinute <= 0) return true;
+      const now = Date.now();
+      tokens = Math.min(perMinute, tokens + ((now - refilledAt) / 60000) * perMinute);
+      refilledAt = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
+
+function createCircuitBreaker({ threshold, cooldownMs }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+
+  return {
+    // While open nothing passes; after the cooldown a single trial call does.
+    canPass() {
+      if (state === 'closed') return true;
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half_open';
+        return true;
+      }
+      return false;
+    },
+    success() {
+      state = 'closed';
+      failures = 0;
+    },
+    failure() {
+      failures += 1;
+      if (state === 'half_open' || failures >= threshold) {
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+    status() {
+      return {
+        state,
+        consecutive_failures: failures,
+        retry_at: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+      };
+    }
+  };
+}
+
+const providerStates = new Map();
+
+function providerState(name) {
+  if (!providerStates.has(name)) {
+    providerStates.set(name, {
+      limiter: createRateLimiter(PRICE_PROVIDERS[name].ratePerMinute()),
+      breaker: createCircuitBreaker({
+        threshold: Math.max(envNumber('PRICE_PROVIDER_FAILURE_THRESHOLD', 5), 1),
+        cooldownMs: Math.max(envNumber('PRICE_PROVIDER_COOLDOWN_SECONDS', 60), 1) * 1000
+      }),
+      stats: {
+        hits: 0,
+        misses: 0,
+        errors: 0,
+        rate_limited: 0,
+        short_circuited: 0,
+        last_hit_at: null,
+        last_error: null,
+        last_error_at: null
+      }
+    });
+  }
+  return providerStates.get(name);
+}
+
+// Runs the chain for one market hash name. Returns { price_cents, provider } or null when no
+// provider had a price (or every one was limited, open or failing).
+async function fetchMarketPrice(name) {
+  for (const providerName of providerChain()) {
+    const { limiter, breaker, stats } = providerState(providerName);
+
+    if (!breaker.canPass()) {
+      stats.short_circuited += 1;
+      continue;
+    }
+    if (!limiter.tryTake()) {
+      stats.rate_limited += 1;
+      continue;
+    }
+
+    try {
+      const cents = await PRICE_PROVIDERS[providerName].fetch(name);
+      breaker.success();
+      if (cents === null || cents === undefined) {
+        stats.misses += 1;
+        continue;
+      }
+      stats.hits += 1;
+      stats.last_hit_at = new Date().toISOString();
+      return { price_cents: cents, provider: providerName };
+    } catch (err) {
+      breaker.failure();
+      stats.errors += 1;
+      stats.last_error = err.message;
+      stats.last_error_at = new Date().toISOString();
+    }
+  }
+  return null;
+}
+
+function providerHealth() {
+  return providerChain().map((name, priority) => {
+    const { breaker, stats } = providerState(name);
+    return {
+      name,
+      priority,
+      rate_per_minute: PRICE_PROVIDERS[name].ratePerMinute(),
+      breaker: breaker.status(),
+      ...stats
+    };
+  });
+}
+
+module.exports = { PRICE_PROVIDERS, parsePriceText, providerChain, fetchMarketPrice, providerHealth };
@@ -0,0 +1,145 @@
+const { fetchMarketPrice } = require('./priceProviders');
+
+// Every price lookup in the app goes through here. Admin overrides (price_overrides) win.
+// Otherwise the price comes from market_cache: a name it has never seen is fetched through the
+// provider chain (lib/priceProviders) right away, a stale one is returned as cached and refreshed
+// through the same chain in the background. refreshStalePrices catches up on the rest.
+
+// StatTrak™ and Souvenir copies are separate market items: "StatTrak™ AK-47 | Redline (Field-Tested)".
+// On knives and gloves the prefix goes after the star: "★ StatTrak™ Karambit | Fade (Factory New)".
+function variantBase(base, variant) {
+  if (variant === 'stattrak' && base.startsWith('★ ')) return `★ StatTrak™ ${base.slice(2)}`;
+  if (variant === 'stattrak') return `StatTrak™ ${base}`;
+  if (variant === 'souvenir') return `Souvenir ${base}`;
+  return base;
+}
+
+function marketHashName(marketHashBase, wear, variant = 'normal') {
+  return `${variantBase(String(marketHashBase), variant)} (${wear})`;
+}
+
+// The same name built in SQL, for joining market_cache from columns. Without a variant
+// column every row is treated as a normal copy.
+function marketHashNameSql(baseColumn, wearColumn, variantColumn = null) {
+  if (!variantColumn) return `(${baseColumn} || ' (' || ${wearColumn} || ')')`;
+  return `(
+    CASE
+      WHEN ${variantColumn} = 'stattrak' AND ${baseColumn} LIKE '★ %'
+        THEN '★ StatTrak™ ' || substr(${baseColumn}, 3)
+      WHEN ${variantColumn} = 'stattrak' THEN 'StatTrak™ ' || ${baseColumn}
+      WHEN ${variantColumn} = 'souvenir' THEN 'Souvenir ' || ${baseColumn}
+      ELSE ${baseColumn}
+    END || ' (' || ${wearColumn} || ')'
+  )`;
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function cacheTtlSeconds() {
+  return Math.max(envNumber('MARKET_CACHE_TTL_SECONDS', 3 * 3600), 60);
+}
+
+function refreshBatchSize() {
+  return Math.max(Math.floor(envNumber('MARKET_REFRESH_BATCH', 50)), 1);
+}
+
+// Admin-set prices from price_overrides.
+async function getOverrides(db, names) {
+  if (names.length === 0) return new Map();
+  const res = await db.query(
+    'SELECT market_hash_name, price_cents FROM price_overrides WHERE market_hash_name = ANY($1::text[]);',
+    [names]
+  );
+  return new Map(res.rows.map((r) => [r.market_hash_name, Number(r.price_cents)]));
+}
+
+// Fetches one name through the provider chain and writes it to market_cache. Returns the price,
+// or null when no provider had one (a cached row then keeps its old price and stays stale).
+async function refreshPrice(pool, name) {
+  const fetched = await fetchMarketPrice(name);
+  if (!fetched) return null;
+
+  await pool.query(
+    `
+    INSERT INTO market_cache (market_hash_name, price_cents, refreshed_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (market_hash_name) DO UPDATE SET price_cents = EXCLUDED.price_cents, refreshed_at = NOW();
+    `,
+    [name, fetched.price_cents]
+  );
+  return fetched.price_cents;
+}
+
+// Names with a background refresh in flight in this process, so a busy page refreshes each once.
+const refreshing = new Set();
+
+function refreshInBackground(pool, name) {
+  if (refreshing.has(name)) return;
+  refreshing.add(name);
+  refreshPrice(pool, name)
+    .catch((e) => console.error(`refreshPrice failed for ${name}:`, e))
+    .finally(() => refreshing.delete(name));
+}
+
+// Looks up several market hash names at once. Duplicates are fetched once and the
+// lookups run concurrently. Returns a Map of name -> price in cents (0 when nothing has a
+// price). With `cachedOnly` nothing is fetched or refreshed: overrides and cached prices as
+// they stand, and names without either are left out of the Map.
+async function getPricesCents(pool, names, { cachedOnly = false } = {}) {
+  const unique = [...new Set(names)];
+  const overrides = await getOverrides(pool, unique);
+  const rest = unique.filter((name) => !overrides.has(name));
+  if (rest.length === 0) return overrides;
+
+  const cachedRes = await pool.query(
+    `
+    SELECT market_hash_name, price_cents,
+           refreshed_at IS NULL OR refreshed_at < NOW() - make_interval(secs => $2) AS stale
+    FROM market_cache
+    WHERE market_hash_name = ANY($1::text[]) AND price_cents IS NOT NULL;
+    `,
+    [rest, cacheTtlSeconds()]
+  );
+  const cached = new Map(cachedRes.rows.map((r) => [r.market_hash_name, r]));
+
+  const out = new Map(overrides);
+  for (const [name, r] of cached) out.set(name, Number(r.price_cents));
+  if (cachedOnly) return out;
+
+  for (const r of cachedRes.rows) {
+    if (r.stale) refreshInBackground(pool, r.market_hash_name);
+  }
+
+  const missing = rest.filter((name) => !cached.has(name));
+  const fetched = await Promise.all(missing.map((name) => refreshPrice(pool, name)));
+  missing.forEach((name, i) => out.set(name, Number(fetched[i] || 0)));
+  return out;
+}
+
+// Cron job: refreshes the stalest cached prices (never refreshed first) through the provider
+// chain, one at a time so a batch does not burst through provider rate limits. Overridden names
+// are skipped, since nothing shows their market price.
+async function refreshStalePrices(pool, { limit = refreshBatchSize() } = {}) {
+  const res = await pool.query(
+    `
+    SELECT mc.market_hash_name
+    FROM market_cache mc
+    WHERE (mc.refreshed_at IS NULL OR mc.refreshed_at < NOW() - make_interval(secs => $1))
+      AND NOT EXISTS (SELECT 1 FROM price_overrides po WHERE po.market_hash_name = mc.market_hash_name)
+    ORDER BY mc.refreshed_at ASC NULLS FIRST
+    LIMIT $2;
+    `,
+    [cacheTtlSeconds(), limit]
+  );
+
+  let refreshed = 0;
+  for (const r of res.rows) {
+    if ((await refreshPrice(pool, r.market_hash_name)) !== null) refreshed += 1;
+  }
+  return { stale: res.rowCount, refreshed };
+}
+
+module.exports = { marketHashName, marketHashNameSql, getOverrides, getPricesCents, refreshStalePrices };
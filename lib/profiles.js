@@ -0,0 +1,110 @@
+const { INVENTORY_FROM, INVENTORY_COLUMNS } = require('./inventory');
+const { levelInfo } = require('./progress');
+const { listUserAchievements } = require('./achievements');
+
+const MAX_SHOWCASE_ITEMS = 6;
+const PROFILE_BEST_DROPS = 5;
+
+async function findUserBySteamId(db, steamId) {
+  const res = await db.query(
+    `
+    SELECT id, steam_id, display_name, avatar, xp, inventory_private, stats_private
+    FROM users
+    WHERE steam_id = $1;
+    `,
+    [String(steamId)]
+  );
+  return res.rows[0] || null;
+}
+
+// Owners always see their own inventory and stats, whatever the privacy switches say.
+function canSee(user, viewerId, setting) {
+  return !user[setting] || (viewerId !== null && Number(viewerId) === Number(user.id));
+}
+
+async function getShowcase(db, userId) {
+  const res = await db.query(
+    `
+    SELECT ${INVENTORY_COLUMNS}
+    FROM ${INVENTORY_FROM}
+    JOIN user_showcase s ON s.inventory_id = inv.id AND s.user_id = inv.user_id
+    WHERE s.user_id = $1
+    ORDER BY s.position ASC;
+    `,
+    [userId]
+  );
+  return res.rows.map((r) => ({ ...r, current_price_cents: Number(r.current_price_cents || 0) }));
+}
+
+// Replaces the pinned items, in the given order. Returns { error } or { showcase }.
+async function setShowcase(client, userId, inventoryIds) {
+  const ids = [...new Set(inventoryIds.map(Number))];
+  if (ids.length > MAX_SHOWCASE_ITEMS || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'BAD_ITEMS', max: MAX_SHOWCASE_ITEMS };
+  }
+
+  const ownedRes = await client.query(
+    'SELECT id FROM inventory WHERE id = ANY($1::bigint[]) AND user_id = $2;',
+    [ids, userId]
+  );
+  if (ownedRes.rowCount !== ids.length) return { error: 'NOT_YOURS' };
+
+  await client.query('DELETE FROM user_showcase WHERE user_id = $1;', [userId]);
+  for (const [position, id] of ids.entries()) {
+    await client.query('INSERT INTO user_showcase (user_id, inventory_id, position) VALUES ($1, $2, $3);', [
+      userId,
+      id,
+      position
+    ]);
+  }
+
+  return { showcase: await getShowcase(client, userId) };
+}
+
+async function getBestDrops(db, userId) {
+  const res = await db.query(
+    `
+    SELECT o.price_cents, o.created_at, i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url,
+           c.slug AS case_slug
+    FROM opening_log o
+    LEFT JOIN items i ON i.id = o.item_id
+    LEFT JOIN cases c ON c.id = o.case_id
+    WHERE o.user_id = $1
+    ORDER BY o.price_cents DESC, o.created_at ASC
+    LIMIT $2;
+    `,
+    [userId, PROFILE_BEST_DROPS]
+  );
+
+  return res.rows.map((r) => ({
+    item: {
+      id: r.id === null ? null : Number(r.id),
+      name: r.name,
+      weapon: r.weapon,
+      rarity: r.rarity,
+      is_special: r.is_special,
+      image_url: r.image_url
+    },
+    case_slug: r.case_slug,
+    price_cents: Number(r.price_cents),
+    at: r.created_at
+  }));
+}
+
+// Public profile. Sections hidden by the user's privacy switches come back as null.
+async function getProfile(db, user, viewerId) {
+  const statsVisible = canSee(user, viewerId, 'stats_private');
+
+  return {
+    steam_id: user.steam_id,
+    display_name: user.display_name,
+    avatar: user.avatar,
+    level: levelInfo(user.xp),
+    showcase: await getShowcase(db, user.id),
+    best_drops: statsVisible ? await getBestDrops(db, user.id) : null,
+    achievements: await listUserAchievements(db, user.id),
+    privacy: { inventory_private: user.inventory_private, stats_private: user.stats_private }
+  };
+}
+
+module.exports = { MAX_SHOWCASE_ITEMS, findUserBySteamId, canSee, getShowcase, setShowcase, getProfile };
@@ -0,0 +1,169 @@
+// XP, account levels and per-case mastery.
+//
+// Account XP comes from opening cases, selling, battles and streak claims (XP_REWARDS may
+// override the amounts as JSON). Each case also has its own mastery track fed by opening
+// that case; every mastery level takes a little off that case's key price.
+
+const DEFAULT_XP_REWARDS = {
+  case_open: 10,
+  item_sell: 2,
+  battle: 15,
+  battle_win: 10,
+  streak_claim: 25
+};
+
+const LEVEL_BASE_XP = 100;
+const LEVEL_EXPONENT = 1.5;
+
+const MASTERY_XP_PER_OPEN = 10;
+const MASTERY_BASE_XP = 50;
+const MASTERY_EXPONENT = 1.4;
+const MAX_MASTERY_LEVEL = 10;
+
+let cachedRewards = null;
+
+function xpRewards() {
+  if (cachedRewards) return cachedRewards;
+  cachedRewards = { ...DEFAULT_XP_REWARDS };
+  if (process.env.XP_REWARDS) {
+    try {
+      Object.assign(cachedRewards, JSON.parse(process.env.XP_REWARDS));
+    } catch (err) {
+      console.warn('⚠ XP_REWARDS is not valid JSON, using default XP rewards.');
+    }
+  }
+  return cachedRewards;
+}
+
+function masteryKeyDiscountRate() {
+  return Math.max(0, Number(process.env.MASTERY_KEY_DISCOUNT_PER_LEVEL ?? 0.01));
+}
+
+function masteryMaxKeyDiscount() {
+  return Math.min(Math.max(0, Number(process.env.MASTERY_MAX_KEY_DISCOUNT ?? 0.1)), 1);
+}
+
+// Total XP needed to reach `level` (level 1 needs 0).
+function xpForLevel(level) {
+  return Math.round(LEVEL_BASE_XP * Math.max(0, level - 1) ** LEVEL_EXPONENT);
+}
+
+function levelForXp(xp) {
+  let level = 1;
+  while (xpForLevel(level + 1) <= Number(xp || 0)) level += 1;
+  return level;
+}
+
+function masteryXpForLevel(level) {
+  return Math.round(MASTERY_BASE_XP * Math.max(0, level) ** MASTERY_EXPONENT);
+}
+
+// Mastery starts at 0 and is capped at MAX_MASTERY_LEVEL.
+function masteryLevelForXp(xp) {
+  let level = 0;
+  while (level < MAX_MASTERY_LEVEL && masteryXpForLevel(level + 1) <= Number(xp || 0)) level += 1;
+  return level;
+}
+
+function keyDiscountFor(masteryLevel) {
+  return Math.min(masteryLevel * masteryKeyDiscountRate(), masteryMaxKeyDiscount());
+}
+
+function keyDiscountCents(keyPriceCents, masteryLevel) {
+  return Math.floor(Number(keyPriceCents || 0) * keyDiscountFor(masteryLevel));
+}
+
+function levelInfo(xp) {
+  const level = levelForXp(xp);
+  return {
+    xp: Number(xp || 0),
+    level,
+    level_xp: xpForLevel(level),
+    next_level_xp: xpForLevel(level + 1)
+  };
+}
+
+function masteryInfo(xp) {
+  const level = masteryLevelForXp(xp);
+  return {
+    xp: Number(xp || 0),
+    level,
+    max_level: MAX_MASTERY_LEVEL,
+    next_level_xp: level < MAX_MASTERY_LEVEL ? masteryXpForLevel(level + 1) : null,
+    key_discount: keyDiscountFor(level)
+  };
+}
+
+// Awards account XP for `source` (a key of XP_REWARDS) `times` times.
+// Returns { gained, level, leveled_up }.
+async function awardXp(client, userId, source, times = 1) {
+  const gained = Math.max(0, Math.round(Number(xpRewards()[source] || 0) * times));
+  const res = await client.query('UPDATE users SET xp = xp + $1 WHERE id = $2 RETURNING xp;', [gained, userId]);
+
+  const xp = Number(res.rows[0]?.xp || 0);
+  const level = levelForXp(xp);
+  return { gained, level, leveled_up: level > levelForXp(xp - gained) };
+}
+
+async function addCaseMastery(client, userId, caseId, opens) {
+  const res = await client.query(
+    `
+    INSERT INTO case_mastery (user_id, case_id, xp, opened)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id, case_id)
+    DO UPDATE SET xp = case_mastery.xp + EXCLUDED.xp,
+                  opened = case_mastery.opened + EXCLUDED.opened,
+                  updated_at = NOW()
+    RETURNING xp;
+    `,
+    [userId, caseId, opens * MASTERY_XP_PER_OPEN, opens]
+  );
+  return masteryInfo(res.rows[0].xp);
+}
+
+async function getCaseMastery(db, userId, caseId) {
+  const res = await db.query('SELECT xp FROM case_mastery WHERE user_id = $1 AND case_id = $2;', [userId, caseId]);
+  return masteryInfo(res.rows[0]?.xp || 0);
+}
+
+async function getProgress(db, userId) {
+  const uRes = await db.query('SELECT xp FROM users WHERE id = $1;', [userId]);
+
+  const mRes = await db.query(
+    `
+    SELECT m.xp, m.opened, c.id, c.slug, c.name, c.image_url, c.key_price_cents
+    FROM case_mastery m
+    JOIN cases c ON c.id = m.case_id
+    WHERE m.user_id = $1
+    ORDER BY m.xp DESC;
+    `,
+    [userId]
+  );
+
+  return {
+    ...levelInfo(uRes.rows[0]?.xp || 0),
+    cases: mRes.rows.map((r) => {
+      const mastery = masteryInfo(r.xp);
+      return {
+        case: { id: Number(r.id), slug: r.slug, name: r.name, image_url: r.image_url },
+        opened: Number(r.opened),
+        ...mastery,
+        key_discount_cents: keyDiscountCents(r.key_price_cents, mastery.level)
+      };
+    })
+  };
+}
+
+module.exports = {
+  xpRewards,
+  xpForLevel,
+  levelForXp,
+  masteryLevelForXp,
+  keyDiscountCents,
+  levelInfo,
+  masteryInfo,
+  awardXp,
+  addCaseMastery,
+  getCaseMastery,
+  getProgress
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { variantFromRoll } = require('./variants');
+
+// Provably-fair rolls.
+//
+// Every user has one active seed pair: a secret server seed (only its SHA-256 hash is
+// shown) and a client seed the user can choose. Each opening uses the next nonce.
+// All randomness for an opening comes from HMAC-SHA256(serverSeed, "clientSeed:nonce:round"),
+// read 4 bytes at a time as floats in [0, 1). Once the pair is rotated the server seed is
+// revealed and anyone can recompute past openings.
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function generateClientSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(String(serverSeed)).digest('hex');
+}
+
+function normalizeClientSeed(value) {
+  const s = String(value || '').trim();
+  if (!s || s.length > MAX_CLIENT_SEED_LENGTH) return null;
+  if (!/^[\x20-\x7e]+$/.test(s)) return null;
+  return s;
+}
+
+function rollFloats(serverSeed, clientSeed, nonce, count) {
+  const out = [];
+  let round = 0;
+  while (out.length < count) {
+    const digest = crypto
+      .createHmac('sha256', String(serverSeed))
+      .update(`${clientSeed}:${nonce}:${round}`)
+      .digest();
+    for (let offset = 0; offset + 4 <= digest.length && out.length < count; offset += 4) {
+      out.push(digest.readUInt32BE(offset) / 2 ** 32);
+    }
+    round += 1;
+  }
+  return out;
+}
+
+// Deterministic counterpart of weightedPick: `roll` in [0, 1) selects the row.
+function pickWeighted(rows, key, roll) {
+  const total = rows.reduce((sum, r) => sum + Math.max(0, Number(r[key]) || 0), 0);
+  if (total <= 0) throw new Error('pickWeighted: total weight must be > 0');
+
+  let target = roll * total;
+  for (const r of rows) {
+    const w = Math.max(0, Number(r[key]) || 0);
+    if (target < w) return r;
+    target -= w;
+  }
+  return rows[rows.length - 1];
+}
+
+// Rolls one opening. `items` are the case's drop rows ({ id, weight, is_special, ... });
+// they are ordered by id so the result does not depend on query order. `chances` are the
+// case's variant chances (lib/variants); the fourth float decides the variant, so openings
+// from before variants existed still verify with zero chances.
+function rollOpening({ serverSeed, clientSeed, nonce, items, chances = { stattrak: 0, souvenir: 0 } }) {
+  const [itemRoll, floatRoll, patternRoll, variantRoll] = rollFloats(serverSeed, clientSeed, nonce, 4);
+
+  const sorted = [...items].sort((a, b) => Number(a.id) - Number(b.id));
+  const picked = pickWeighted(sorted, 'weight', itemRoll);
+
+  return {
+    picked,
+    floatValue: floatRoll,
+    patternIndex: picked.is_special ? Math.floor(patternRoll * 1000) : null,
+    variant: variantFromRoll(variantRoll, chances, picked)
+  };
+}
+
+function publicSeed(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    server_seed_hash: row.server_seed_hash,
+    server_seed: row.active ? null : row.server_seed,
+    client_seed: row.client_seed,
+    nonce: Number(row.nonce || 0),
+    active: row.active,
+    created_at: row.created_at,
+    revealed_at: row.revealed_at
+  };
+}
+
+async function createSeed(client, userId, clientSeed) {
+  const serverSeed = generateServerSeed();
+  const res = await client.query(
+    `
+    INSERT INTO fair_seeds (user_id, server_seed, server_seed_hash, client_seed, nonce, active)
+    VALUES ($1, $2, $3, $4, 0, TRUE)
+    ON CONFLICT (user_id) WHERE active DO NOTHING
+    RETURNING *;
+    `,
+    [userId, serverSeed, hashServerSeed(serverSeed), clientSeed || generateClientSeed()]
+  );
+  return res.rows[0] || null;
+}
+
+// Returns the user's active seed pair, creating one on first use. Pass `forUpdate`
+// inside a transaction that is about to consume a nonce.
+async function getActiveSeed(client, userId, { forUpdate = false } = {}) {
+  const select = `SELECT * FROM fair_seeds WHERE user_id = $1 AND active = TRUE${forUpdate ? ' FOR UPDATE' : ''};`;
+
+  const res = await client.query(select, [userId]);
+  if (res.rowCount > 0) return res.rows[0];
+
+  const created = await createSeed(client, userId, null);
+  if (created) return created;
+
+  // Lost a creation race with a concurrent request; the other row is there now.
+  const again = await client.query(select, [userId]);
+  return again.rows[0];
+}
+
+// Reveals the active server seed and starts a fresh pair at nonce 0.
+async function rotateSeed(client, userId, clientSeed) {
+  const current = await getActiveSeed(client, userId, { forUpdate: true });
+
+  const revealed = await client.query(
+    `
+    UPDATE fair_seeds
+    SET active = FALSE, revealed_at = NOW()
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [current.id]
+  );
+
+  const next = await createSeed(client, userId, clientSeed);
+  return { revealed: revealed.rows[0], seed: next };
+}
+
+// Recomputes an opening from its seed pair and compares it with what was stored.
+function verifyOpening({ opening, seed, items, chances }) {
+  const expected = rollOpening({
+    serverSeed: seed.server_seed,
+    clientSeed: seed.client_seed,
+    nonce: Number(opening.nonce),
+    items,
+    chances
+  });
+
+  const expectedPattern = expected.patternIndex;
+  const storedPattern = opening.pattern_index === null ? null : Number(opening.pattern_index);
+
+  const matches =
+    Number(expected.picked.id) === Number(opening.item_id) &&
+    Math.abs(expected.floatValue - Number(opening.float_value)) < 1e-6 &&
+    expectedPattern === storedPattern &&
+    expected.variant === (opening.variant || 'normal');
+
+  return {
+    matches,
+    expected: {
+      item_id: Number(expected.picked.id),
+      float_value: expected.floatValue,
+      pattern_index: expectedPattern,
+      variant: expected.variant
+    }
+  };
+}
+
+module.exports = {
+  generateServerSeed,
+  generateClientSeed,
+  hashServerSeed,
+  normalizeClientSeed,
+  rollFloats,
+  pickWeighted,
+  rollOpening,
+  publicSeed,
+  getActiveSeed,
+  rotateSeed,
+  verifyOpening
+};
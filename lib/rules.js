@@ -0,0 +1,43 @@
+// Data-driven rule matching for achievements (and anything else that reacts to events).
+//
+// A rule is a JSON object whose keys name fields of the event payload. The key suffix picks
+// the comparison: _lt, _lte, _gt, _gte, _ne, _in (array of allowed values); a bare key means
+// equality. Text compares case-insensitively. An empty rule matches every event.
+
+const OPERATORS = ['_lte', '_gte', '_lt', '_gt', '_ne', '_in'];
+
+function norm(v) {
+  return typeof v === 'string' ? v.toLowerCase() : v;
+}
+
+function compare(op, actual, expected) {
+  if (op === '_in') return Array.isArray(expected) && expected.map(norm).includes(norm(actual));
+  if (actual === null || actual === undefined) return op === '_ne' ? expected !== null : false;
+
+  switch (op) {
+    case '_lt':
+      return Number(actual) < Number(expected);
+    case '_lte':
+      return Number(actual) <= Number(expected);
+    case '_gt':
+      return Number(actual) > Number(expected);
+    case '_gte':
+      return Number(actual) >= Number(expected);
+    case '_ne':
+      return norm(actual) !== norm(expected);
+    default:
+      if (typeof expected === 'number') return Number(actual) === expected;
+      return norm(actual) === norm(expected);
+  }
+}
+
+function matchesCriteria(criteria, payload) {
+  for (const [key, expected] of Object.entries(criteria || {})) {
+    const op = OPERATORS.find((o) => key.endsWith(o)) || '';
+    const field = op ? key.slice(0, -op.length) : key;
+    if (!compare(op, payload[field], expected)) return false;
+  }
+  return true;
+}
+
+module.exports = { matchesCriteria };
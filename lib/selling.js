@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { applyGems } = require('./ledger');
+const { awardXp } = require('./progress');
+const { emitEvent } = require('./events');
+const { listedInventoryIds } = require('./market');
+const { marketHashName, getPricesCents } = require('./prices');
+const { INVENTORY_FROM, INVENTORY_WHERE, INVENTORY_VALUE_SQL, filterParams } = require('./inventory');
+
+// Selling items back for gems, one at a time or in bulk. Locked items can never be sold;
+// favourites can still be sold one at a time but bulk sell leaves them alone.
+//
+// An item sells for its value times the sell-back rate for its rarity. SELL_PRICE_MODE=market
+// (default) values it at the current market price; "frozen" keeps the price it dropped at.
+// SELL_BACK_RATE is the default rate (1 = full value) and SELL_BACK_RATES overrides it per
+// rarity as JSON, e.g. { "Covert": 0.85 }. A signed quote fixes the price for a short while.
+
+const MAX_BULK_SELL_ITEMS = 500;
+
+// De-duplicated inventory ids for bulk sell and flag updates; null if the list is not usable.
+function parseBulkIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(Number))];
+  if (ids.length === 0 || ids.length > MAX_BULK_SELL_ITEMS) return null;
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+  return ids;
+}
+
+function sellPriceMode() {
+  return String(process.env.SELL_PRICE_MODE || 'market').toLowerCase() === 'frozen' ? 'frozen' : 'market';
+}
+
+function clampRate(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : fallback;
+}
+
+let cachedRates = null;
+
+function sellBackRates() {
+  if (cachedRates) return cachedRates;
+
+  const fallback = clampRate(process.env.SELL_BACK_RATE ?? 1, 1);
+  const byRarity = {};
+  if (process.env.SELL_BACK_RATES) {
+    try {
+      const parsed = JSON.parse(process.env.SELL_BACK_RATES);
+      for (const [rarity, rate] of Object.entries(parsed || {})) {
+        byRarity[rarity.toLowerCase()] = clampRate(rate, fallback);
+      }
+    } catch (err) {
+      console.warn('⚠ SELL_BACK_RATES is not valid JSON, using SELL_BACK_RATE for every rarity.');
+    }
+  }
+
+  cachedRates = { fallback, byRarity };
+  return cachedRates;
+}
+
+function sellBackRate(rarity) {
+  const rates = sellBackRates();
+  return rates.byRarity[String(rarity || '').toLowerCase()] ?? rates.fallback;
+}
+
+// An item's value before the sell-back rate, as SQL (used by sell-by-filter's maxPriceCents).
+function sellValueSql() {
+  return sellPriceMode() === 'frozen' ? 'inv.price_cents_at_drop' : INVENTORY_VALUE_SQL;
+}
+
+// Sell prices for inventory rows carrying market_hash_base, wear, variant, rarity and price_cents_at_drop.
+// Items without a market price fall back to their drop price, as in INVENTORY_VALUE_SQL.
+// Returns a Map of inventory id -> cents.
+async function priceForSale(pool, rows) {
+  const names = new Map(rows.map((r) => [Number(r.id), marketHashName(r.market_hash_base, r.wear, r.variant)]));
+  const market = sellPriceMode() === 'market' ? await getPricesCents(pool, [...names.values()]) : null;
+
+  const out = new Map();
+  for (const r of rows) {
+    const dropPrice = Number(r.price_cents_at_drop || 0);
+    const value = market ? market.get(names.get(Number(r.id))) || dropPrice : dropPrice;
+    out.set(Number(r.id), Math.floor(value * sellBackRate(r.rarity)));
+  }
+  return out;
+}
+
+// Prices a sale before its transaction starts, so no inventory rows stay locked and no second
+// pool connection is taken during market lookups. Quoted items keep their quoted price.
+// Ownership and the other checks are repeated under lock by sellInventory.
+// Returns a Map of inventory id -> cents.
+async function priceSale(pool, inventoryIds, { quotedPrices = null } = {}) {
+  const res = await pool.query(
+    `
+    SELECT inv.id, inv.wear, inv.variant, inv.price_cents_at_drop, i.rarity, i.market_hash_base
+    FROM inventory inv
+    JOIN items i ON i.id = inv.item_id
+    WHERE inv.id = ANY($1::bigint[]);
+    `,
+    [inventoryIds]
+  );
+
+  const unquoted = res.rows.filter((r) => !quotedPrices || !quotedPrices.has(Number(r.id)));
+  const prices = await priceForSale(pool, unquoted);
+  if (quotedPrices) {
+    for (const id of inventoryIds) {
+      if (quotedPrices.has(id)) prices.set(id, quotedPrices.get(id));
+    }
+  }
+  return prices;
+}
+
+function quoteSecret() {
+  return process.env.SELL_QUOTE_SECRET || process.env.SESSION_SECRET || 'dev_secret_change_me';
+}
+
+function quoteTtlSeconds() {
+  return Math.max(Number(process.env.SELL_QUOTE_TTL_SECONDS ?? 30), 1);
+}
+
+function signQuote(body) {
+  return crypto.createHmac('sha256', quoteSecret()).update(body).digest('base64url');
+}
+
+// Prices the user's items now and signs the result. Returns { error } or
+// { quote, expires_at, items, credit_cents }.
+async function createSellQuote(pool, userId, inventoryIds) {
+  const res = await pool.query(
+    `
+    SELECT inv.id, inv.user_id, inv.wear, inv.variant, inv.price_cents_at_drop, i.rarity, i.market_hash_base
+    FROM inventory inv
+    JOIN items i ON i.id = inv.item_id
+    WHERE inv.id = ANY($1::bigint[])
+    ORDER BY inv.id ASC;
+    `,
+    [inventoryIds]
+  );
+  if (res.rowCount !== inventoryIds.length) return { error: 'INVENTORY_NOT_FOUND' };
+  if (res.rows.some((r) => Number(r.user_id) !== Number(userId))) return { error: 'NOT_YOURS' };
+
+  const prices = await priceForSale(pool, res.rows);
+  const expiresAt = Date.now() + quoteTtlSeconds() * 1000;
+  const body = Buffer.from(JSON.stringify({ u: Number(userId), e: expiresAt, p: [...prices.entries()] })).toString(
+    'base64url'
+  );
+
+  const items = [...prices.entries()].map(([id, cents]) => ({ inventory_id: id, credit_cents: cents }));
+  return {
+    quote: `${body}.${signQuote(body)}`,
+    expires_at: new Date(expiresAt).toISOString(),
+    items,
+    credit_cents: items.reduce((sum, it) => sum + it.credit_cents, 0)
+  };
+}
+
+// Checks a quote from createSellQuote. Returns { error } or { prices } (inventory id -> cents).
+function verifySellQuote(quote, userId) {
+  const [body, signature] = String(quote || '').split('.');
+  if (!body || !signature) return { error: 'BAD_QUOTE' };
+
+  const expected = Buffer.from(signQuote(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { error: 'BAD_QUOTE' };
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (_) {
+    return { error: 'BAD_QUOTE' };
+  }
+  if (Number(payload.u) !== Number(userId)) return { error: 'BAD_QUOTE' };
+  if (Number(payload.e) < Date.now()) return { error: 'QUOTE_EXPIRED' };
+
+  return { prices: new Map(payload.p.map(([id, cents]) => [Number(id), Number(cents)])) };
+}
+
+// Inventory ids matching an /api/inventory style filter that bulk sell may take: not locked,
+// not a favourite, not listed on the market and, with `maxPriceCents`, worth at most that.
+// Returns { ids, more } where `more` means the filter matched more than one batch.
+async function selectSellableIds(db, userId, filters, { maxPriceCents = null } = {}) {
+  const res = await db.query(
+    `
+    SELECT inv.id
+    FROM ${INVENTORY_FROM}
+    WHERE ${INVENTORY_WHERE}
+      AND inv.locked = FALSE AND inv.favorite = FALSE
+      AND ($14::bigint IS NULL OR ${sellValueSql()} <= $14)
+      AND NOT EXISTS (
+        SELECT 1 FROM market_listings l WHERE l.inventory_id = inv.id AND l.status = 'active'
+      )
+    ORDER BY inv.id ASC
+    LIMIT $15;
+    `,
+    [...filterParams(userId, filters), maxPriceCents, MAX_BULK_SELL_ITEMS + 1]
+  );
+
+  const ids = res.rows.map((r) => Number(r.id));
+  return { ids: ids.slice(0, MAX_BULK_SELL_ITEMS), more: ids.length > MAX_BULK_SELL_ITEMS };
+}
+
+// Sells the given items in the caller's transaction at `prices` (from priceSale). Every item
+// must pass or nothing is sold.
+// Returns { error, inventory_id } or { items, credit_cents, balance_cents, xp, achievements, missions }.
+async function sellInventory(client, userId, inventoryIds, prices, { bulk = false } = {}) {
+  const invRes = await client.query(
+    `
+    SELECT inv.id, inv.user_id, inv.item_id, inv.wear, inv.float_value, inv.pattern_index, inv.variant, inv.locked,
+           inv.favorite, inv.price_cents_at_drop, i.name, i.rarity, i.is_special, i.market_hash_base
+    FROM inventory inv
+    JOIN items i ON i.id = inv.item_id
+    WHERE inv.id = ANY($1::bigint[])
+    ORDER BY inv.id ASC
+    FOR UPDATE OF inv;
+    `,
+    [inventoryIds]
+  );
+  const byId = new Map(invRes.rows.map((r) => [Number(r.id), r]));
+
+  for (const id of inventoryIds) {
+    const row = byId.get(id);
+    if (!row) return { error: 'INVENTORY_NOT_FOUND', inventory_id: id };
+    if (Number(row.user_id) !== Number(userId)) return { error: 'NOT_YOURS', inventory_id: id };
+    if (row.locked) return { error: 'ITEM_LOCKED', inventory_id: id };
+    if (bulk && row.favorite) return { error: 'ITEM_FAVORITE', inventory_id: id };
+  }
+
+  const listed = await listedInventoryIds(client, inventoryIds);
+  if (listed.size > 0) return { error: 'ITEM_LISTED', inventory_id: [...listed][0] };
+
+  const items = invRes.rows.map((r) => ({
+    inventory_id: Number(r.id),
+    item_id: Number(r.item_id),
+    name: r.name,
+    rarity: r.rarity,
+    is_special: r.is_special,
+    wear: r.wear,
+    float_value: Number(r.float_value),
+    pattern_index: r.pattern_index,
+    variant: r.variant,
+    credit_cents: prices.get(Number(r.id)) || 0
+  }));
+  const credit = items.reduce((sum, it) => sum + it.credit_cents, 0);
+
+  await client.query('DELETE FROM inventory WHERE id = ANY($1::bigint[]);', [inventoryIds]);
+  const xp = await awardXp(client, userId, 'item_sell', items.length);
+  // Raised before the credit so the returned balance already includes any rewards.
+  const events = await emitEvent(
+    client,
+    userId,
+    'item_sell',
+    items.map((it) => ({
+      item_id: it.item_id,
+      rarity: it.rarity,
+      is_special: it.is_special,
+      wear: it.wear,
+      float_value: it.float_value,
+      pattern_index: it.pattern_index,
+      variant: it.variant,
+      price_cents: it.credit_cents
+    }))
+  );
+  // One ledger row per sale; a bulk sale has no single item to point at.
+  const balance = await applyGems(
+    client,
+    userId,
+    credit,
+    'item_sell',
+    inventoryIds.length === 1 ? inventoryIds[0] : null
+  );
+
+  return {
+    items,
+    credit_cents: credit,
+    balance_cents: balance,
+    xp,
+    achievements: events.achievements,
+    missions: events.missions
+  };
+}
+
+module.exports = {
+  MAX_BULK_SELL_ITEMS,
+  sellPriceMode,
+  sellBackRate,
+  parseBulkIds,
+  createSellQuote,
+  verifySellQuote,
+  selectSellableIds,
+  priceSale,
+  sellInventory
+};
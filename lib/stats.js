@@ -0,0 +1,292 @@
+// Opening statistics. Every opening (a case from /api/open or one battle round for one seat)
+// is folded into the counters as it happens; nothing is recomputed from inventory.
+//
+// An opening is { case_id, item_id, rarity, wear, float_value, price_cents, cost_cents }.
+// Pass userId = null for bot seats: they only count towards the global numbers, and since
+// bots pay nothing their cost is not added to the global spend.
+async function recordOpenings(client, userId, openings) {
+  if (openings.length === 0) return;
+
+  const byCase = new Map();
+  const byItem = new Map();
+  const byRarity = new Map();
+  let spent = 0;
+  let value = 0;
+  let best = null;
+  let luckiest = null;
+
+  for (const o of openings) {
+    const caseId = Number(o.case_id);
+    const price = Number(o.price_cents || 0);
+    const cost = userId === null ? 0 : Number(o.cost_cents || 0);
+    spent += cost;
+    value += price;
+
+    const c = byCase.get(caseId) || { opened: 0, spent: 0, value: 0 };
+    c.opened += 1;
+    c.spent += cost;
+    c.value += price;
+    byCase.set(caseId, c);
+
+    const itemKey = `${caseId}:${Number(o.item_id)}`;
+    byItem.set(itemKey, (byItem.get(itemKey) || 0) + 1);
+
+    const r = byRarity.get(o.rarity) || { drops: 0, value: 0 };
+    r.drops += 1;
+    r.value += price;
+    byRarity.set(o.rarity, r);
+
+    if (!best || price > Number(best.price_cents || 0)) best = o;
+    if (!luckiest || Number(o.float_value) < Number(luckiest.float_value)) luckiest = o;
+  }
+
+  for (const [caseId, c] of byCase) {
+    await client.query(
+      `
+      INSERT INTO global_case_stats (case_id, opened, spent_cents, value_cents)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (case_id) DO UPDATE
+      SET opened = global_case_stats.opened + EXCLUDED.opened,
+          spent_cents = global_case_stats.spent_cents + EXCLUDED.spent_cents,
+          value_cents = global_case_stats.value_cents + EXCLUDED.value_cents,
+          updated_at = NOW();
+      `,
+      [caseId, c.opened, c.spent, c.value]
+    );
+  }
+
+  for (const [key, drops] of byItem) {
+    const [caseId, itemId] = key.split(':').map(Number);
+    await client.query(
+      `
+      INSERT INTO global_item_stats (case_id, item_id, drops)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (case_id, item_id) DO UPDATE SET drops = global_item_stats.drops + EXCLUDED.drops;
+      `,
+      [caseId, itemId, drops]
+    );
+  }
+
+  if (userId === null) return;
+
+  await client.query(
+    `
+    INSERT INTO user_stats (user_id, cases_opened, spent_cents, value_cents)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id) DO UPDATE
+    SET cases_opened = user_stats.cases_opened + EXCLUDED.cases_opened,
+        spent_cents = user_stats.spent_cents + EXCLUDED.spent_cents,
+        value_cents = user_stats.value_cents + EXCLUDED.value_cents,
+        updated_at = NOW();
+    `,
+    [userId, openings.length, spent, value]
+  );
+
+  await client.query(
+    `
+    UPDATE user_stats
+    SET best_drop_item_id = $2, best_drop_wear = $3, best_drop_float = $4, best_drop_cents = $5, best_drop_at = NOW()
+    WHERE user_id = $1 AND (best_drop_cents IS NULL OR best_drop_cents < $5);
+    `,
+    [userId, best.item_id, best.wear, best.float_value, Number(best.price_cents || 0)]
+  );
+
+  await client.query(
+    `
+    UPDATE user_stats
+    SET luckiest_item_id = $2, luckiest_wear = $3, luckiest_float = $4, luckiest_at = NOW()
+    WHERE user_id = $1 AND (luckiest_float IS NULL OR luckiest_float > $4);
+    `,
+    [userId, luckiest.item_id, luckiest.wear, luckiest.float_value]
+  );
+
+  for (const [caseId, c] of byCase) {
+    await client.query(
+      `
+      INSERT INTO user_case_stats (user_id, case_id, opened, spent_cents, value_cents)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (user_id, case_id) DO UPDATE
+      SET opened = user_case_stats.opened + EXCLUDED.opened,
+          spent_cents = user_case_stats.spent_cents + EXCLUDED.spent_cents,
+          value_cents = user_case_stats.value_cents + EXCLUDED.value_cents;
+      `,
+      [userId, caseId, c.opened, c.spent, c.value]
+    );
+  }
+
+  for (const [rarity, r] of byRarity) {
+    await client.query(
+      `
+      INSERT INTO user_rarity_stats (user_id, rarity, drops, value_cents)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, rarity) DO UPDATE
+      SET drops = user_rarity_stats.drops + EXCLUDED.drops,
+          value_cents = user_rarity_stats.value_cents + EXCLUDED.value_cents;
+      `,
+      [userId, rarity, r.drops, r.value]
+    );
+  }
+}
+
+function shapeStatItem(id, name, rarity, imageUrl) {
+  return id === null ? null : { id: Number(id), name, rarity, image_url: imageUrl };
+}
+
+async function getUserStats(db, userId) {
+  const sRes = await db.query(
+    `
+    SELECT s.*,
+           bi.name AS best_name, bi.rarity AS best_rarity, bi.image_url AS best_image_url,
+           li.name AS luckiest_name, li.rarity AS luckiest_rarity, li.image_url AS luckiest_image_url
+    FROM user_stats s
+    LEFT JOIN items bi ON bi.id = s.best_drop_item_id
+    LEFT JOIN items li ON li.id = s.luckiest_item_id
+    WHERE s.user_id = $1;
+    `,
+    [userId]
+  );
+  const s = sRes.rows[0] || {};
+
+  const casesRes = await db.query(
+    `
+    SELECT c.slug, c.name, c.image_url, ucs.opened, ucs.spent_cents, ucs.value_cents
+    FROM user_case_stats ucs
+    JOIN cases c ON c.id = ucs.case_id
+    WHERE ucs.user_id = $1
+    ORDER BY ucs.opened DESC, c.id ASC;
+    `,
+    [userId]
+  );
+
+  const rarityRes = await db.query(
+    'SELECT rarity, drops, value_cents FROM user_rarity_stats WHERE user_id = $1 ORDER BY drops DESC;',
+    [userId]
+  );
+
+  const spent = Number(s.spent_cents || 0);
+  const value = Number(s.value_cents || 0);
+
+  return {
+    cases_opened: Number(s.cases_opened || 0),
+    spent_cents: spent,
+    value_cents: value,
+    net_profit_cents: value - spent,
+    best_drop:
+      s.best_drop_cents === undefined || s.best_drop_cents === null
+        ? null
+        : {
+            item: shapeStatItem(s.best_drop_item_id, s.best_name, s.best_rarity, s.best_image_url),
+            wear: s.best_drop_wear,
+            float_value: Number(s.best_drop_float),
+            price_cents: Number(s.best_drop_cents),
+            at: s.best_drop_at
+          },
+    luckiest_float:
+      s.luckiest_float === undefined || s.luckiest_float === null
+        ? null
+        : {
+            item: shapeStatItem(s.luckiest_item_id, s.luckiest_name, s.luckiest_rarity, s.luckiest_image_url),
+            wear: s.luckiest_wear,
+            float_value: Number(s.luckiest_float),
+            at: s.luckiest_at
+          },
+    cases: casesRes.rows.map((r) => ({
+      slug: r.slug,
+      name: r.name,
+      image_url: r.image_url,
+      opened: Number(r.opened),
+      spent_cents: Number(r.spent_cents),
+      value_cents: Number(r.value_cents),
+      net_profit_cents: Number(r.value_cents) - Number(r.spent_cents)
+    })),
+    rarities: rarityRes.rows.map((r) => ({
+      rarity: r.rarity,
+      drops: Number(r.drops),
+      value_cents: Number(r.value_cents)
+    }))
+  };
+}
+
+// Opens per case, plus how often each rarity actually dropped next to the share the
+// configured case_items weights give it.
+async function getGlobalStats(db) {
+  const casesRes = await db.query(
+    `
+    SELECT c.id, c.slug, c.name, c.image_url,
+           COALESCE(g.opened, 0) AS opened, COALESCE(g.spent_cents, 0) AS spent_cents,
+           COALESCE(g.value_cents, 0) AS value_cents
+    FROM cases c
+    LEFT JOIN global_case_stats g ON g.case_id = c.id
+    WHERE c.active = TRUE OR g.opened > 0
+    ORDER BY opened DESC, c.id ASC;
+    `
+  );
+
+  const configuredRes = await db.query(
+    `
+    SELECT ci.case_id, i.rarity, SUM(ci.weight) AS weight
+    FROM case_items ci
+    JOIN items i ON i.id = ci.item_id
+    GROUP BY ci.case_id, i.rarity;
+    `
+  );
+
+  const observedRes = await db.query(
+    `
+    SELECT g.case_id, i.rarity, SUM(g.drops) AS drops
+    FROM global_item_stats g
+    JOIN items i ON i.id = g.item_id
+    GROUP BY g.case_id, i.rarity;
+    `
+  );
+
+  const rarities = new Map();
+  const rarityRow = (caseId, rarity) => {
+    if (!rarities.has(caseId)) rarities.set(caseId, new Map());
+    const byRarity = rarities.get(caseId);
+    if (!byRarity.has(rarity)) byRarity.set(rarity, { rarity, weight: 0, drops: 0 });
+    return byRarity.get(rarity);
+  };
+  for (const r of configuredRes.rows) rarityRow(Number(r.case_id), r.rarity).weight = Number(r.weight);
+  for (const r of observedRes.rows) rarityRow(Number(r.case_id), r.rarity).drops = Number(r.drops);
+
+  let totalOpened = 0;
+  let totalSpent = 0;
+  let totalValue = 0;
+
+  const cases = casesRes.rows.map((c) => {
+    const rows = [...(rarities.get(Number(c.id)) || new Map()).values()];
+    const weightSum = rows.reduce((sum, r) => sum + r.weight, 0);
+    const dropSum = rows.reduce((sum, r) => sum + r.drops, 0);
+
+    totalOpened += Number(c.opened);
+    totalSpent += Number(c.spent_cents);
+    totalValue += Number(c.value_cents);
+
+    return {
+      slug: c.slug,
+      name: c.name,
+      image_url: c.image_url,
+      opened: Number(c.opened),
+      spent_cents: Number(c.spent_cents),
+      value_cents: Number(c.value_cents),
+      rarities: rows
+        .map((r) => ({
+          rarity: r.rarity,
+          drops: r.drops,
+          observed: dropSum > 0 ? r.drops / dropSum : null,
+          configured: weightSum > 0 ? r.weight / weightSum : null
+        }))
+        .sort((a, b) => (b.configured || 0) - (a.configured || 0))
+    };
+  });
+
+  return {
+    cases_opened: totalOpened,
+    spent_cents: totalSpent,
+    value_cents: totalValue,
+    cases
+  };
+}
+
+module.exports = { recordOpenings, getUserStats, getGlobalStats };
@@ -0,0 +1,113 @@
+const { applyGems } = require('./ledger');
+
+// Player tiers. A tier is reached when the lifetime thresholds are met; which thresholds
+// count is set by TIER_BASIS: "wagered", "opened" or "both" (default). TIER_CONFIG may
+// replace the table with a JSON array of the same shape, ordered from tier 0 upwards.
+const DEFAULT_TIERS = [
+  { tier: 0, name: 'Bronze', wagered_cents: 0, cases_opened: 0, reward_cents: 0 },
+  { tier: 1, name: 'Silver', wagered_cents: 50000, cases_opened: 25, reward_cents: 1000 },
+  { tier: 2, name: 'Gold', wagered_cents: 250000, cases_opened: 100, reward_cents: 5000 },
+  { tier: 3, name: 'Platinum', wagered_cents: 1000000, cases_opened: 500, reward_cents: 20000 },
+  { tier: 4, name: 'Diamond', wagered_cents: 5000000, cases_opened: 2000, reward_cents: 100000 }
+];
+
+let cachedTiers = null;
+
+function getTiers() {
+  if (cachedTiers) return cachedTiers;
+
+  let tiers = DEFAULT_TIERS;
+  if (process.env.TIER_CONFIG) {
+    try {
+      const parsed = JSON.parse(process.env.TIER_CONFIG);
+      if (Array.isArray(parsed) && parsed.length > 0) tiers = parsed;
+    } catch (err) {
+      console.warn('⚠ TIER_CONFIG is not valid JSON, using default tiers.');
+    }
+  }
+
+  cachedTiers = tiers
+    .map((t, i) => ({
+      tier: Number(t.tier ?? i),
+      name: String(t.name || `Tier ${i}`),
+      wagered_cents: Number(t.wagered_cents || 0),
+      cases_opened: Number(t.cases_opened || 0),
+      reward_cents: Number(t.reward_cents || 0)
+    }))
+    .sort((a, b) => a.tier - b.tier);
+  return cachedTiers;
+}
+
+function tierBasis() {
+  const basis = String(process.env.TIER_BASIS || 'both').toLowerCase();
+  return ['wagered', 'opened', 'both'].includes(basis) ? basis : 'both';
+}
+
+function meetsTier(t, wageredCents, casesOpened) {
+  const basis = tierBasis();
+  const wagered = Number(wageredCents || 0) >= t.wagered_cents;
+  const opened = Number(casesOpened || 0) >= t.cases_opened;
+  if (basis === 'wagered') return wagered;
+  if (basis === 'opened') return opened;
+  return wagered && opened;
+}
+
+function tierFor(wageredCents, casesOpened) {
+  let reached = getTiers()[0];
+  for (const t of getTiers()) {
+    if (meetsTier(t, wageredCents, casesOpened)) reached = t;
+  }
+  return reached;
+}
+
+// Current tier plus what is left to reach the next one, for /api/me.
+function tierProgress(user) {
+  const tiers = getTiers();
+  const current = tiers.find((t) => t.tier === Number(user.tier || 0)) || tiers[0];
+  const next = tiers.find((t) => t.tier > current.tier) || null;
+
+  return {
+    tier: current.tier,
+    name: current.name,
+    basis: tierBasis(),
+    wagered_cents: Number(user.wagered_cents || 0),
+    cases_opened: Number(user.cases_opened || 0),
+    next: next && {
+      tier: next.tier,
+      name: next.name,
+      wagered_cents: next.wagered_cents,
+      cases_opened: next.cases_opened,
+      reward_cents: next.reward_cents
+    }
+  };
+}
+
+// Adds case activity to the user's lifetime counters inside the caller's transaction.
+// Tier-ups are stored and every newly reached tier pays its reward once.
+// Returns the list of tiers gained (usually empty).
+async function recordWager(client, userId, { wageredCents, casesOpened }) {
+  const res = await client.query(
+    `
+    UPDATE users
+    SET wagered_cents = wagered_cents + $1, cases_opened = cases_opened + $2
+    WHERE id = $3
+    RETURNING wagered_cents, cases_opened, tier;
+    `,
+    [Math.max(0, Number(wageredCents) || 0), Math.max(0, Number(casesOpened) || 0), userId]
+  );
+  const u = res.rows[0];
+  const oldTier = Number(u.tier || 0);
+  const reached = tierFor(u.wagered_cents, u.cases_opened);
+  if (reached.tier <= oldTier) return [];
+
+  await client.query('UPDATE users SET tier = $1 WHERE id = $2;', [reached.tier, userId]);
+
+  const gained = getTiers().filter((t) => t.tier > oldTier && t.tier <= reached.tier);
+  for (const t of gained) {
+    if (t.reward_cents > 0) await applyGems(client, userId, t.reward_cents, 'tier_reward', t.tier);
+  }
+
+  return gained.map((t) => ({ tier: t.tier, name: t.name, reward_cents: t.reward_cents }));
+}
+
+module.exports = { DEFAULT_TIERS, getTiers, tierFor, tierProgress, recordWager };
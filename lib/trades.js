@@ -0,0 +1,250 @@
+const { applyGems } = require('./ledger');
+const { listedInventoryIds } = require('./market');
+
+const MAX_TRADE_ITEMS_PER_SIDE = 20;
+const MAX_TRADE_MESSAGE_LENGTH = 200;
+
+function parseIdList(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(Number))];
+  if (ids.length > MAX_TRADE_ITEMS_PER_SIDE || ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+  return ids;
+}
+
+function parseGems(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) return null;
+  return n;
+}
+
+// Parses the "what each side puts in" part of a create/counter request body.
+// Returns { error } or { giveIds, receiveIds, giveGems, receiveGems, message }.
+function parseOfferTerms(body) {
+  const giveIds = parseIdList(body.giveInventoryIds);
+  const receiveIds = parseIdList(body.receiveInventoryIds);
+  if (!giveIds || !receiveIds) return { error: 'BAD_ITEMS', max: MAX_TRADE_ITEMS_PER_SIDE };
+
+  const giveGems = parseGems(body.giveGemsCents);
+  const receiveGems = parseGems(body.receiveGemsCents);
+  if (giveGems === null || receiveGems === null) return { error: 'BAD_GEMS' };
+
+  if (giveIds.length + receiveIds.length === 0 && giveGems + receiveGems === 0) return { error: 'EMPTY_TRADE' };
+
+  const message = body.message ? String(body.message).replace(/[<>]/g, '').slice(0, MAX_TRADE_MESSAGE_LENGTH) : null;
+  return { giveIds, receiveIds, giveGems, receiveGems, message };
+}
+
+async function addOfferEvent(client, offerId, status, actorId, note = null) {
+  await client.query(
+    'INSERT INTO trade_offer_events (offer_id, status, actor_id, note) VALUES ($1, $2, $3, $4);',
+    [offerId, status, actorId, note]
+  );
+}
+
+async function setOfferStatus(client, offerId, status, actorId, note = null) {
+  await client.query('UPDATE trade_offers SET status = $1, updated_at = NOW() WHERE id = $2;', [status, offerId]);
+  await addOfferEvent(client, offerId, status, actorId, note);
+}
+
+// Creates a pending offer. Item ownership is checked now for a clear error, and again
+// under row locks when the offer is accepted.
+async function createOffer(client, { senderId, recipientId, terms, parentOfferId = null }) {
+  const allIds = [...terms.giveIds, ...terms.receiveIds];
+  const invRes = await client.query(
+    'SELECT id, user_id, item_id, wear, float_value, locked FROM inventory WHERE id = ANY($1::bigint[]);',
+    [allIds]
+  );
+  const byId = new Map(invRes.rows.map((r) => [Number(r.id), r]));
+
+  for (const id of terms.giveIds) {
+    const row = byId.get(id);
+    if (!row || Number(row.user_id) !== Number(senderId)) return { error: 'NOT_YOURS', inventory_id: id };
+  }
+  for (const id of terms.receiveIds) {
+    const row = byId.get(id);
+    if (!row || Number(row.user_id) !== Number(recipientId)) return { error: 'NOT_THEIRS', inventory_id: id };
+  }
+
+  const locked = allIds.find((id) => byId.get(id).locked);
+  if (locked !== undefined) return { error: 'ITEM_LOCKED', inventory_id: locked };
+
+  const listed = await listedInventoryIds(client, allIds);
+  if (listed.size > 0) return { error: 'ITEM_LISTED', inventory_id: [...listed][0] };
+
+  const oRes = await client.query(
+    `
+    INSERT INTO trade_offers
+      (sender_id, recipient_id, sender_gems_cents, recipient_gems_cents, parent_offer_id, message)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id;
+    `,
+    [senderId, recipientId, terms.giveGems, terms.receiveGems, parentOfferId, terms.message]
+  );
+  const offerId = Number(oRes.rows[0].id);
+
+  const sides = [
+    ...terms.giveIds.map((id) => ['sender', id]),
+    ...terms.receiveIds.map((id) => ['recipient', id])
+  ];
+  for (const [side, id] of sides) {
+    const row = byId.get(id);
+    await client.query(
+      `
+      INSERT INTO trade_offer_items (offer_id, inventory_id, side, item_id, wear, float_value)
+      VALUES ($1, $2, $3, $4, $5, $6);
+      `,
+      [offerId, id, side, row.item_id, row.wear, row.float_value]
+    );
+  }
+
+  await addOfferEvent(client, offerId, 'pending', senderId);
+  return { offerId };
+}
+
+// Settles an accepted offer atomically. The caller holds the offer row lock.
+// Both users and every involved inventory row are locked in id order so two
+// overlapping trades cannot deadlock. Returns { error } or { ok: true }.
+async function settleOffer(client, offer) {
+  const senderId = Number(offer.sender_id);
+  const recipientId = Number(offer.recipient_id);
+
+  const usersRes = await client.query(
+    'SELECT id, gems_cents FROM users WHERE id = ANY($1::bigint[]) ORDER BY id ASC FOR UPDATE;',
+    [[senderId, recipientId]]
+  );
+  const balances = new Map(usersRes.rows.map((u) => [Number(u.id), Number(u.gems_cents || 0)]));
+
+  const itemsRes = await client.query('SELECT inventory_id, side FROM trade_offer_items WHERE offer_id = $1;', [
+    offer.id
+  ]);
+  const ids = itemsRes.rows.map((r) => Number(r.inventory_id));
+
+  const invRes = await client.query(
+    'SELECT id, user_id, locked FROM inventory WHERE id = ANY($1::bigint[]) ORDER BY id ASC FOR UPDATE;',
+    [ids]
+  );
+  const owners = new Map(invRes.rows.map((r) => [Number(r.id), Number(r.user_id)]));
+
+  for (const r of itemsRes.rows) {
+    const expectedOwner = r.side === 'sender' ? senderId : recipientId;
+    if (owners.get(Number(r.inventory_id)) !== expectedOwner) {
+      return { error: 'ITEM_NO_LONGER_AVAILABLE', inventory_id: Number(r.inventory_id) };
+    }
+  }
+
+  // Either side may have locked an item since the offer was made.
+  const locked = invRes.rows.find((r) => r.locked);
+  if (locked) return { error: 'ITEM_LOCKED', inventory_id: Number(locked.id) };
+
+  const listed = await listedInventoryIds(client, ids);
+  if (listed.size > 0) return { error: 'ITEM_LISTED', inventory_id: [...listed][0] };
+
+  const senderGems = Number(offer.sender_gems_cents || 0);
+  const recipientGems = Number(offer.recipient_gems_cents || 0);
+  if (balances.get(senderId) < senderGems) return { error: 'SENDER_NOT_ENOUGH_GEMS' };
+  if (balances.get(recipientId) < recipientGems) return { error: 'RECIPIENT_NOT_ENOUGH_GEMS' };
+
+  for (const r of itemsRes.rows) {
+    const newOwner = r.side === 'sender' ? recipientId : senderId;
+    await client.query('UPDATE inventory SET user_id = $1 WHERE id = $2;', [newOwner, r.inventory_id]);
+  }
+
+  // One ledger row per user for the net gem movement.
+  const net = recipientGems - senderGems;
+  if (net !== 0) {
+    await applyGems(client, senderId, net, 'trade', offer.id);
+    await applyGems(client, recipientId, -net, 'trade', offer.id);
+  }
+
+  return { ok: true };
+}
+
+async function getOffer(db, offerId) {
+  const oRes = await db.query(
+    `
+    SELECT o.*, s.steam_id AS sender_steam_id, s.display_name AS sender_display_name, s.avatar AS sender_avatar,
+           r.steam_id AS recipient_steam_id, r.display_name AS recipient_display_name, r.avatar AS recipient_avatar
+    FROM trade_offers o
+    JOIN users s ON s.id = o.sender_id
+    JOIN users r ON r.id = o.recipient_id
+    WHERE o.id = $1;
+    `,
+    [offerId]
+  );
+  if (oRes.rowCount === 0) return null;
+  const o = oRes.rows[0];
+
+  const itemsRes = await db.query(
+    `
+    SELECT t.inventory_id, t.side, t.wear, t.float_value,
+           i.id AS item_id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base
+    FROM trade_offer_items t
+    LEFT JOIN items i ON i.id = t.item_id
+    WHERE t.offer_id = $1
+    ORDER BY t.side DESC, t.inventory_id ASC;
+    `,
+    [offerId]
+  );
+
+  const eventsRes = await db.query(
+    `
+    SELECT e.status, e.note, e.created_at, u.steam_id AS actor_steam_id
+    FROM trade_offer_events e
+    LEFT JOIN users u ON u.id = e.actor_id
+    WHERE e.offer_id = $1
+    ORDER BY e.id ASC;
+    `,
+    [offerId]
+  );
+
+  const shapeItem = (r) => ({
+    inventory_id: Number(r.inventory_id),
+    item: {
+      id: r.item_id === null ? null : Number(r.item_id),
+      name: r.name,
+      weapon: r.weapon,
+      rarity: r.rarity,
+      is_special: r.is_special,
+      image_url: r.image_url,
+      market_hash_base: r.market_hash_base
+    },
+    wear: r.wear,
+    float_value: r.float_value === null ? null : Number(r.float_value)
+  });
+
+  return {
+    id: Number(o.id),
+    status: o.status,
+    parent_offer_id: o.parent_offer_id === null ? null : Number(o.parent_offer_id),
+    message: o.message,
+    created_at: o.created_at,
+    updated_at: o.updated_at,
+    sender: {
+      steam_id: o.sender_steam_id,
+      display_name: o.sender_display_name,
+      avatar: o.sender_avatar,
+      gems_cents: Number(o.sender_gems_cents || 0),
+      items: itemsRes.rows.filter((r) => r.side === 'sender').map(shapeItem)
+    },
+    recipient: {
+      steam_id: o.recipient_steam_id,
+      display_name: o.recipient_display_name,
+      avatar: o.recipient_avatar,
+      gems_cents: Number(o.recipient_gems_cents || 0),
+      items: itemsRes.rows.filter((r) => r.side === 'recipient').map(shapeItem)
+    },
+    history: eventsRes.rows
+  };
+}
+
+module.exports = {
+  MAX_TRADE_ITEMS_PER_SIDE,
+  parseOfferTerms,
+  addOfferEvent,
+  setOfferStatus,
+  createOffer,
+  settleOffer,
+  getOffer
+};
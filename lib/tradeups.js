@@ -0,0 +1,105 @@
+const { wearFromFloat } = require('./wear');
+const { marketHashName } = require('./prices');
+const { listedInventoryIds } = require('./market');
+
+const TRADEUP_SIZE = 10;
+const RARITY_LADDER = ['Mil-Spec', 'Restricted', 'Classified', 'Covert'];
+
+function nextRarity(rarity) {
+  const i = RARITY_LADDER.findIndex((r) => r.toLowerCase() === String(rarity || '').toLowerCase());
+  if (i < 0 || i === RARITY_LADDER.length - 1) return null;
+  return RARITY_LADDER[i + 1];
+}
+
+// Parses and de-duplicates the submitted inventory ids; null if the list is not usable.
+function parseTradeupIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(Number))];
+  if (ids.length !== TRADEUP_SIZE || ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+  return ids.sort((a, b) => a - b);
+}
+
+// Loads and validates the inputs, then works out every possible output.
+//
+// Like CS2, each input contributes an equal 1/10 share, split evenly between the
+// next-rarity items of the case it came from. The output float is the average input float.
+// Ten StatTrak™ inputs give a StatTrak™ output; StatTrak™ and normal inputs cannot be mixed
+// and Souvenir items cannot be traded up at all.
+// Returns { error } or { inputs, rarity, outputRarity, floatValue, wear, variant, outcomes }.
+async function planTradeup(db, userId, ids, { forUpdate = false } = {}) {
+  const invRes = await db.query(
+    `
+    SELECT inv.id, inv.user_id, inv.case_id, inv.float_value, inv.variant, inv.locked, i.rarity, i.is_special
+    FROM inventory inv
+    JOIN items i ON i.id = inv.item_id
+    WHERE inv.id = ANY($1::bigint[])
+    ORDER BY inv.id ASC
+    ${forUpdate ? 'FOR UPDATE OF inv' : ''};
+    `,
+    [ids]
+  );
+
+  if (invRes.rowCount !== ids.length) return { error: 'INVENTORY_NOT_FOUND' };
+  const inputs = invRes.rows;
+
+  if (inputs.some((r) => Number(r.user_id) !== Number(userId))) return { error: 'NOT_YOURS' };
+  if (inputs.some((r) => r.locked)) return { error: 'ITEM_LOCKED' };
+  if ((await listedInventoryIds(db, ids)).size > 0) return { error: 'ITEM_LISTED' };
+  if (inputs.some((r) => r.is_special)) return { error: 'TRADEUP_SPECIAL_ITEM' };
+  if (inputs.some((r) => r.variant === 'souvenir')) return { error: 'TRADEUP_SOUVENIR_ITEM' };
+
+  const variant = inputs[0].variant;
+  if (inputs.some((r) => r.variant !== variant)) return { error: 'TRADEUP_MIXED_STATTRAK' };
+
+  const rarity = inputs[0].rarity;
+  if (inputs.some((r) => String(r.rarity).toLowerCase() !== String(rarity).toLowerCase())) {
+    return { error: 'TRADEUP_MIXED_RARITY' };
+  }
+
+  const outputRarity = nextRarity(rarity);
+  if (!outputRarity) return { error: 'TRADEUP_NO_NEXT_RARITY' };
+  if (inputs.some((r) => r.case_id === null)) return { error: 'TRADEUP_UNKNOWN_CASE' };
+
+  const caseIds = [...new Set(inputs.map((r) => Number(r.case_id)))];
+  const candRes = await db.query(
+    `
+    SELECT ci.case_id, i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base
+    FROM case_items ci
+    JOIN items i ON i.id = ci.item_id
+    WHERE ci.case_id = ANY($1::bigint[]) AND LOWER(i.rarity) = LOWER($2) AND i.is_special = FALSE
+    ORDER BY i.id ASC;
+    `,
+    [caseIds, outputRarity]
+  );
+
+  const candidatesByCase = new Map();
+  for (const row of candRes.rows) {
+    const key = Number(row.case_id);
+    if (!candidatesByCase.has(key)) candidatesByCase.set(key, []);
+    candidatesByCase.get(key).push(row);
+  }
+
+  const byItem = new Map();
+  for (const input of inputs) {
+    const candidates = candidatesByCase.get(Number(input.case_id));
+    if (!candidates || candidates.length === 0) return { error: 'TRADEUP_CASE_HAS_NO_OUTCOME' };
+
+    const share = 1 / inputs.length / candidates.length;
+    for (const item of candidates) {
+      const key = Number(item.id);
+      if (!byItem.has(key)) byItem.set(key, { item, case_id: Number(item.case_id), probability: 0 });
+      byItem.get(key).probability += share;
+    }
+  }
+
+  const floatValue = inputs.reduce((sum, r) => sum + Number(r.float_value || 0), 0) / inputs.length;
+  const wear = wearFromFloat(floatValue);
+
+  const outcomes = [...byItem.values()]
+    .map((o) => ({ ...o, market_hash_name: marketHashName(o.item.market_hash_base, wear, variant) }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return { inputs, rarity, outputRarity, floatValue, wear, variant, outcomes };
+}
+
+module.exports = { TRADEUP_SIZE, RARITY_LADDER, nextRarity, parseTradeupIds, planTradeup };
@@ -0,0 +1,119 @@
+const { randomFloat01 } = require('./random');
+const { wearFromFloat } = require('./wear');
+const { marketHashName, getPricesCents } = require('./prices');
+const { listedInventoryIds } = require('./market');
+const { ITEM_VARIANTS } = require('./variants');
+
+const WEARS = ['Factory New', 'Minimal Wear', 'Field-Tested', 'Well-Worn', 'Battle-Scarred'];
+const MAX_UPGRADE_STAKE_ITEMS = 10;
+
+// Unset or unparsable values fall back to the default instead of turning every chance into NaN.
+function clampChance(value, fallback) {
+  const n = Number(value ?? fallback);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : fallback;
+}
+
+function upgraderConfig() {
+  const maxChance = clampChance(process.env.UPGRADER_MAX_CHANCE, 0.9);
+  return {
+    houseEdge: Math.min(clampChance(process.env.UPGRADER_HOUSE_EDGE, 0.05), 0.99),
+    minChance: Math.min(clampChance(process.env.UPGRADER_MIN_CHANCE, 0.01), maxChance),
+    maxChance
+  };
+}
+
+function parseStakeIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(Number))];
+  if (ids.length === 0 || ids.length > MAX_UPGRADE_STAKE_ITEMS) return null;
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+  return ids.sort((a, b) => a - b);
+}
+
+function parseUpgradeRequest(body) {
+  return {
+    ids: parseStakeIds(body.inventoryIds),
+    targetItemId: Number(body.targetItemId),
+    targetWear: String(body.targetWear || ''),
+    targetVariant: String(body.targetVariant || 'normal')
+  };
+}
+
+// Draws floats until one lands in the requested wear band.
+function rollFloatForWear(wear) {
+  for (let i = 0; i < 10000; i += 1) {
+    const f = randomFloat01();
+    if (wearFromFloat(f) === wear) return f;
+  }
+  throw new Error(`rollFloatForWear: no float found for ${wear}`);
+}
+
+// Looks up and prices the target before any stake is locked, so no row locks are held during
+// market lookups. Returns { error } or { target, targetWear, targetVariant, targetName, targetPrice }.
+async function priceUpgradeTarget(pool, { targetItemId, targetWear, targetVariant }) {
+  if (!WEARS.includes(targetWear)) return { error: 'BAD_WEAR' };
+  if (!ITEM_VARIANTS.includes(targetVariant)) return { error: 'BAD_VARIANT' };
+
+  // A won item is credited to the first case that drops it, so it can still go into trade-ups.
+  const tRes = await pool.query(
+    `
+    SELECT i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base,
+           (SELECT MIN(ci.case_id) FROM case_items ci WHERE ci.item_id = i.id) AS case_id
+    FROM items i
+    WHERE i.id = $1;
+    `,
+    [targetItemId]
+  );
+  if (tRes.rowCount === 0) return { error: 'ITEM_NOT_FOUND' };
+  const target = tRes.rows[0];
+  // Knives and gloves never come as Souvenirs.
+  if (target.is_special && targetVariant === 'souvenir') return { error: 'BAD_VARIANT' };
+
+  const targetName = marketHashName(target.market_hash_base, targetWear, targetVariant);
+  const targetPrice = (await getPricesCents(pool, [targetName])).get(targetName);
+  return { target, targetWear, targetVariant, targetName, targetPrice };
+}
+
+// Values the stake against a target from priceUpgradeTarget and works out the win chance:
+// stake / target, reduced by the house edge. The stake is valued at drop prices, which already
+// include its variants. Returns { error } or the plan.
+async function planUpgrade(db, userId, ids, priced, { forUpdate = false } = {}) {
+  const invRes = await db.query(
+    `
+    SELECT id, user_id, locked, price_cents_at_drop
+    FROM inventory
+    WHERE id = ANY($1::bigint[])
+    ORDER BY id ASC
+    ${forUpdate ? 'FOR UPDATE' : ''};
+    `,
+    [ids]
+  );
+  if (invRes.rowCount !== ids.length) return { error: 'INVENTORY_NOT_FOUND' };
+  if (invRes.rows.some((r) => Number(r.user_id) !== Number(userId))) return { error: 'NOT_YOURS' };
+  if (invRes.rows.some((r) => r.locked)) return { error: 'ITEM_LOCKED' };
+  if ((await listedInventoryIds(db, ids)).size > 0) return { error: 'ITEM_LISTED' };
+
+  const { targetPrice } = priced;
+  const stakeCents = invRes.rows.reduce((sum, r) => sum + Number(r.price_cents_at_drop || 0), 0);
+
+  if (stakeCents <= 0) return { error: 'STAKE_HAS_NO_VALUE' };
+  if (targetPrice <= stakeCents) {
+    return { error: 'TARGET_NOT_MORE_EXPENSIVE', stake_cents: stakeCents, target_price_cents: targetPrice };
+  }
+
+  const { houseEdge, minChance, maxChance } = upgraderConfig();
+  const chance = Math.min((stakeCents / targetPrice) * (1 - houseEdge), maxChance);
+  if (chance < minChance) return { error: 'CHANCE_TOO_LOW', chance, min_chance: minChance };
+
+  return { ...priced, stakeCents, chance, houseEdge };
+}
+
+module.exports = {
+  WEARS,
+  MAX_UPGRADE_STAKE_ITEMS,
+  upgraderConfig,
+  parseUpgradeRequest,
+  rollFloatForWear,
+  priceUpgradeTarget,
+  planUpgrade
+};
@@ -0,0 +1,34 @@
+// StatTrak™ and Souvenir drops. Each case sets its own chances (cases.stattrak_chance and
+// cases.souvenir_chance); one roll in [0, 1) decides the variant. Special items (knives and
+// gloves) can be StatTrak™ but never Souvenir, as in CS2.
+//
+// A StatTrak™ item counts kills: every case its owner opens, in /api/open or a battle, adds
+// one to each StatTrak™ item they hold at that moment.
+
+const ITEM_VARIANTS = ['normal', 'stattrak', 'souvenir'];
+
+function clampChance(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : 0;
+}
+
+// A case row (or a case version snapshot) -> its variant chances. Missing columns mean 0.
+function variantChances(caseRow) {
+  const stattrak = clampChance(caseRow && caseRow.stattrak_chance);
+  return { stattrak, souvenir: Math.min(clampChance(caseRow && caseRow.souvenir_chance), 1 - stattrak) };
+}
+
+function variantFromRoll(roll, chances, item) {
+  if (roll < chances.stattrak) return 'stattrak';
+  if (!item.is_special && roll < chances.stattrak + chances.souvenir) return 'souvenir';
+  return 'normal';
+}
+
+async function addStatTrakKills(db, userId, kills) {
+  await db.query(
+    `UPDATE inventory SET stattrak_kills = stattrak_kills + $2 WHERE user_id = $1 AND variant = 'stattrak';`,
+    [userId, kills]
+  );
+}
+
+module.exports = { ITEM_VARIANTS, variantChances, variantFromRoll, addStatTrakKills };
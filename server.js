@@ -12,8 +12,104 @@ const { getPool } = require('./lib/db');
 const { requireAuth, requireAdmin } = require('./lib/middleware');
 const { weightedPick, randomFloat01, randomIntInclusive } = require('./lib/random');
 const { wearFromFloat } = require('./lib/wear');
-const { getPriceCents } = require('./lib/marketCache');
-const { refreshStaleBatch } = require('./jobs/marketRefresh');
+const { marketHashName, getPricesCents, refreshStalePrices } = require('./lib/prices');
+const {
+  BATTLE_MODES,
+  MAX_BATTLE_ROUNDS,
+  teamForSeat,
+  seatIsEmpty,
+  getBattle,
+  fillSeatsWithBots,
+  rollBattle,
+  runBattle
+} = require('./lib/battles');
+const { TRADEUP_SIZE, parseTradeupIds, planTradeup } = require('./lib/tradeups');
+const {
+  MAX_UPGRADE_STAKE_ITEMS,
+  parseUpgradeRequest,
+  rollFloatForWear,
+  priceUpgradeTarget,
+  planUpgrade
+} = require('./lib/upgrader');
+const { parseOfferTerms, setOfferStatus, createOffer, settleOffer, getOffer } = require('./lib/trades');
+const {
+  MAX_BUY_ORDER_QUANTITY,
+  marketFeeRate,
+  feeFor,
+  listedInventoryIds,
+  executeSale,
+  matchListing,
+  matchBuyOrder,
+  parseListingFilters,
+  searchListings
+} = require('./lib/market');
+const { pickWinner } = require('./lib/giveaways');
+const { tierProgress, recordWager } = require('./lib/tiers');
+const {
+  keyDiscountCents,
+  levelInfo,
+  awardXp,
+  addCaseMastery,
+  getCaseMastery,
+  getProgress
+} = require('./lib/progress');
+const { emitEvent } = require('./lib/events');
+const { listAchievements, listUserAchievements } = require('./lib/achievements');
+const { assignMissions, listMissions, claimMission } = require('./lib/missions');
+const { recordOpenings, getUserStats, getGlobalStats } = require('./lib/stats');
+const { publishFeedEvent, parseFeedFilters, createLiveFeed } = require('./lib/liveFeed');
+const { parseInventoryQuery, listInventory } = require('./lib/inventory');
+const {
+  MAX_BULK_SELL_ITEMS,
+  parseBulkIds,
+  createSellQuote,
+  verifySellQuote,
+  selectSellableIds,
+  priceSale,
+  sellInventory
+} = require('./lib/selling');
+const { findUserBySteamId, canSee, setShowcase, getProfile } = require('./lib/profiles');
+const { wearDistribution, getCaseOdds } = require('./lib/caseOdds');
+const { ITEM_VARIANTS, variantChances, addStatTrakKills } = require('./lib/variants');
+const { getPriceChanges, getPriceHistory, compactPriceHistory } = require('./lib/priceHistory');
+const { providerChain, providerHealth } = require('./lib/priceProviders');
+const {
+  LEADERBOARD_CATEGORIES,
+  LEADERBOARD_WINDOWS,
+  isCategory: isLeaderboardCategory,
+  isWindow: isLeaderboardWindow,
+  MAX_LEADERBOARD_PAGE,
+  getLeaderboard,
+  weeklyPrizes
+} = require('./lib/leaderboards');
+const { recordLedger, applyGems, listTransactions, findBalanceMismatches } = require('./lib/ledger');
+const {
+  loadCaseItems,
+  snapshotCase,
+  resolveCaseVersion,
+  parseCaseFields,
+  parseItemFields,
+  parseContents,
+  rarityWarnings,
+  replaceCaseContents,
+  insertRow,
+  updateRow,
+  slugTaken,
+  casesWithItem,
+  listCaseVersions,
+  getCaseVersion
+} = require('./lib/catalog');
+const {
+  normalizeClientSeed,
+  publicSeed,
+  getActiveSeed,
+  rotateSeed,
+  rollOpening,
+  verifyOpening
+} = require('./lib/provablyFair');
+const { advanceGiveaways } = require('./jobs/giveawayLifecycle');
+const { rotateMissions } = require('./jobs/missionRotation');
+const { closeWeeklyLeaderboards } = require('./jobs/leaderboardPayouts');
 
 const dev = process.env.NODE_ENV !== 'production';
 const PORT = process.env.PORT || 3000;
@@ -26,6 +122,10 @@ const ADMIN_STEAM_IDS = new Set(
     .filter(Boolean)
 );
 
+const MAX_OPEN_COUNT = 10;
+// A batch rolled from a nonce another open has just used is re-rolled once before giving up.
+const OPEN_ATTEMPTS = 2;
+
 const pool = getPool();
 
 function asyncHandler(fn) {
@@ -49,6 +149,12 @@ function rarityColor(rarity) {
   return '#9aa3af';
 }
 
+function sellErrorStatus(error) {
+  if (error === 'INVENTORY_NOT_FOUND') return 404;
+  if (error === 'NOT_YOURS') return 403;
+  return 400;
+}
+
 function safeText(s, max = 48) {
   return String(s || '').replace(/[<>]/g, '').slice(0, max);
 }
@@ -88,7 +194,8 @@ async function main() {
     try {
       const res = await pool.query(
         `
-        SELECT id, steam_id, display_name, avatar, gems_cents, streak_day, last_streak_claim_at, is_admin
+        SELECT id, steam_id, display_name, avatar, gems_cents, streak_day, last_streak_claim_at, is_admin,
+               wagered_cents, cases_opened, tier, xp, inventory_private, stats_private
         FROM users
         WHERE id = $1;
         `,
@@ -123,22 +230,50 @@ async function main() {
           const isAdmin = ADMIN_STEAM_IDS.has(steamId);
           const starting = Number(process.env.STARTING_GEMS_CENTS || 50000);
 
-          const res = await pool.query(
-            `
-            INSERT INTO users (steam_id, display_name, avatar, gems_cents, is_admin)
-            VALUES ($1, $2, $3, $4, $5)
-            ON CONFLICT (steam_id)
-            DO UPDATE SET
-              display_name = EXCLUDED.display_name,
-              avatar = EXCLUDED.avatar,
-              is_admin = EXCLUDED.is_admin,
-              updated_at = NOW()
-            RETURNING id, steam_id, display_name, avatar, gems_cents, streak_day, last_streak_claim_at, is_admin;
-            `,
-            [steamId, displayName, avatar, starting, isAdmin]
-          );
+          // The user row and its signup bonus ledger entry land together or not at all.
+          const client = await pool.connect();
+          let user;
+          try {
+            await client.query('BEGIN');
+
+            const res = await client.query(
+              `
+              INSERT INTO users (steam_id, display_name, avatar, gems_cents, is_admin)
+              VALUES ($1, $2, $3, $4, $5)
+              ON CONFLICT (steam_id)
+              DO UPDATE SET
+                display_name = EXCLUDED.display_name,
+                avatar = EXCLUDED.avatar,
+                is_admin = EXCLUDED.is_admin,
+                updated_at = NOW()
+              RETURNING id, steam_id, display_name, avatar, gems_cents, streak_day, last_streak_claim_at, is_admin,
+                        (xmax = 0) AS inserted;
+              `,
+              [steamId, displayName, avatar, starting, isAdmin]
+            );
+
+            const { inserted, ...row } = res.rows[0];
+            user = row;
+            if (inserted) {
+              await recordLedger(client, {
+                userId: user.id,
+                amountCents: Number(user.gems_cents || 0),
+                reason: 'signup_bonus',
+                balanceAfterCents: Number(user.gems_cents || 0)
+              });
+            }
+
+            await client.query('COMMIT');
+          } catch (err) {
+            try {
+              await client.query('ROLLBACK');
+            } catch (_) {}
+            throw err;
+          } finally {
+            client.release();
+          }
 
-          done(null, res.rows[0]);
+          done(null, user);
         } catch (err) {
           done(err);
         }
@@ -185,10 +320,223 @@ async function main() {
 
   app.get('/api/me', (req, res) => {
     res.json({
-      user: req.user || null
+      user: req.user || null,
+      tier: req.user ? tierProgress(req.user) : null,
+      level: req.user ? levelInfo(req.user.xp) : null
+    });
+  });
+
+  app.get(
+    '/api/me/progress',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const progress = await getProgress(pool, req.user.id);
+      res.json({ progress, tier: tierProgress(req.user) });
+    })
+  );
+
+  app.get(
+    '/api/me/transactions',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const page = await listTransactions(pool, req.user.id, { limit: req.query.limit, before: req.query.before });
+      res.json(page);
+    })
+  );
+
+  app.get(
+    '/api/achievements',
+    asyncHandler(async (req, res) => {
+      const achievements = await listAchievements(pool, req.user ? req.user.id : null);
+      res.json({ achievements });
+    })
+  );
+
+  app.get(
+    '/api/me/achievements',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      res.json({ achievements: await listUserAchievements(pool, req.user.id) });
+    })
+  );
+
+  app.get(
+    '/api/users/:steamId/achievements',
+    asyncHandler(async (req, res) => {
+      const uRes = await pool.query('SELECT id FROM users WHERE steam_id = $1;', [String(req.params.steamId)]);
+      if (uRes.rowCount === 0) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+
+      res.json({ achievements: await listUserAchievements(pool, uRes.rows[0].id) });
+    })
+  );
+
+  // ---- Profiles ----
+
+  app.get(
+    '/api/users/:steamId',
+    asyncHandler(async (req, res) => {
+      const user = await findUserBySteamId(pool, req.params.steamId);
+      if (!user) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+
+      res.json({ profile: await getProfile(pool, user, req.user ? req.user.id : null) });
+    })
+  );
+
+  app.get(
+    '/api/users/:steamId/inventory',
+    asyncHandler(async (req, res) => {
+      const user = await findUserBySteamId(pool, req.params.steamId);
+      if (!user) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+      if (!canSee(user, req.user ? req.user.id : null, 'inventory_private')) {
+        return res.status(403).json({ error: 'INVENTORY_PRIVATE' });
+      }
+
+      const filters = parseInventoryQuery(req.query);
+      if (filters.error) return res.status(400).json(filters);
+
+      res.json(await listInventory(pool, user.id, filters));
+    })
+  );
+
+  app.post(
+    '/api/me/privacy',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const { inventoryPrivate, statsPrivate } = req.body;
+      if ([inventoryPrivate, statsPrivate].some((v) => v !== undefined && typeof v !== 'boolean')) {
+        return res.status(400).json({ error: 'BAD_FLAG' });
+      }
+
+      const rows = await pool.query(
+        `
+        UPDATE users
+        SET inventory_private = COALESCE($1, inventory_private),
+            stats_private = COALESCE($2, stats_private),
+            updated_at = NOW()
+        WHERE id = $3
+        RETURNING inventory_private, stats_private;
+        `,
+        [inventoryPrivate ?? null, statsPrivate ?? null, req.user.id]
+      );
+      res.json({ ok: true, privacy: rows.rows[0] });
+    })
+  );
+
+  app.post(
+    '/api/me/showcase',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      if (!Array.isArray(req.body.inventoryIds)) return res.status(400).json({ error: 'BAD_ITEMS' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const result = await setShowcase(client, req.user.id, req.body.inventoryIds);
+        if (result.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json(result);
+        }
+
+        await client.query('COMMIT');
+        res.json({ ok: true, showcase: result.showcase });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // ---- Live feed (Server-Sent Events) ----
+
+  const liveFeed = createLiveFeed(pool, { backlogSize: Number(process.env.LIVE_FEED_BACKLOG ?? 50) });
+  liveFeed.start();
+
+  app.get('/api/feed', (req, res) => {
+    liveFeed.subscribe(req, res, {
+      filters: parseFeedFilters(req.query),
+      userId: req.user ? req.user.id : null,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId || null
     });
   });
 
+  // ---- Stats ----
+
+  app.get(
+    '/api/me/stats',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      res.json({ stats: await getUserStats(pool, req.user.id) });
+    })
+  );
+
+  app.get(
+    '/api/users/:steamId/stats',
+    asyncHandler(async (req, res) => {
+      const user = await findUserBySteamId(pool, req.params.steamId);
+      if (!user) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+      if (!canSee(user, req.user ? req.user.id : null, 'stats_private')) {
+        return res.status(403).json({ error: 'STATS_PRIVATE' });
+      }
+
+      res.json({ stats: await getUserStats(pool, user.id) });
+    })
+  );
+
+  app.get(
+    '/api/stats/global',
+    asyncHandler(async (req, res) => {
+      res.json({ stats: await getGlobalStats(pool) });
+    })
+  );
+
+  // ---- Missions ----
+
+  app.get(
+    '/api/me/missions',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      // The rotation job covers active players; this catches anyone it has not reached yet.
+      await assignMissions(pool, req.user.id);
+      res.json({ missions: await listMissions(pool, req.user.id) });
+    })
+  );
+
+  app.post(
+    '/api/me/missions/:id/claim',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const result = await claimMission(client, req.user.id, id);
+        if (result.error) {
+          await client.query('ROLLBACK');
+          const status = result.error === 'MISSION_NOT_FOUND' ? 404 : 400;
+          return res.status(status).json({ error: result.error });
+        }
+
+        await client.query('COMMIT');
+        res.json({ ok: true, ...result });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
   app.get(
     '/api/cases',
     asyncHandler(async (req, res) => {
@@ -211,7 +559,7 @@ async function main() {
 
       const cRes = await pool.query(
         `
-        SELECT id, slug, name, image_url, case_price_cents, key_price_cents, active
+        SELECT id, slug, name, image_url, case_price_cents, key_price_cents, stattrak_chance, souvenir_chance, active
         FROM cases
         WHERE slug = $1;
         `,
@@ -224,7 +572,7 @@ async function main() {
 
       const iRes = await pool.query(
         `
-        SELECT i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base
+        SELECT i.id, i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base, ci.weight
         FROM items i
         JOIN case_items ci ON ci.item_id = i.id
         WHERE ci.case_id = $1
@@ -233,7 +581,87 @@ async function main() {
         [c.id]
       );
 
-      res.json({ case: c, items: iRes.rows });
+      const odds = iRes.rowCount > 0 ? await getCaseOdds(pool, c, iRes.rows) : null;
+      const itemOdds = new Map((odds ? odds.items : []).map((o) => [o.item_id, o]));
+      const mastery = req.user ? await getCaseMastery(pool, req.user.id, c.id) : null;
+
+      res.json({
+        case: c,
+        items: iRes.rows.map((i) => ({
+          ...i,
+          weight: Number(i.weight),
+          probability: itemOdds.get(Number(i.id)).probability,
+          expected_value_cents: itemOdds.get(Number(i.id)).expected_value_cents
+        })),
+        odds: odds && {
+          total_weight: odds.total_weight,
+          rarities: odds.rarities,
+          wears: odds.wears,
+          variants: odds.variants,
+          expected_value_cents: odds.expected_value_cents,
+          cost_cents: odds.cost_cents,
+          roi: odds.roi,
+          computed_at: odds.computed_at
+        },
+        mastery: mastery && { ...mastery, key_discount_cents: keyDiscountCents(c.key_price_cents, mastery.level) }
+      });
+    })
+  );
+
+  // Current price and recent change for every wear of an item; ?variant=stattrak|souvenir for those copies.
+  app.get(
+    '/api/items/:id',
+    asyncHandler(async (req, res) => {
+      const itemId = Number(req.params.id);
+      if (!Number.isFinite(itemId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const variant = String(req.query.variant || 'normal');
+      if (!ITEM_VARIANTS.includes(variant)) return res.status(400).json({ error: 'BAD_VARIANT' });
+
+      const iRes = await pool.query(
+        'SELECT id, name, weapon, rarity, is_special, image_url, market_hash_base FROM items WHERE id = $1;',
+        [itemId]
+      );
+      if (iRes.rowCount === 0) return res.status(404).json({ error: 'ITEM_NOT_FOUND' });
+      const item = iRes.rows[0];
+
+      const names = wearDistribution().map((w) => marketHashName(item.market_hash_base, w.wear, variant));
+      const prices = await getPricesCents(pool, names);
+      const changes = await getPriceChanges(pool, names);
+
+      res.json({
+        item,
+        variant,
+        wears: wearDistribution().map((w, i) => ({
+          wear: w.wear,
+          market_hash_name: names[i],
+          price_cents: prices.get(names[i]),
+          ...changes.get(names[i])
+        }))
+      });
+    })
+  );
+
+  // ?wear=Field-Tested&variant=stattrak&days=30 (up to MAX_HISTORY_DAYS): raw points plus daily OHLC for charts.
+  app.get(
+    '/api/items/:id/price-history',
+    asyncHandler(async (req, res) => {
+      const itemId = Number(req.params.id);
+      if (!Number.isFinite(itemId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const wear = String(req.query.wear || '');
+      if (!wearDistribution().some((w) => w.wear === wear)) return res.status(400).json({ error: 'BAD_WEAR' });
+      const variant = String(req.query.variant || 'normal');
+      if (!ITEM_VARIANTS.includes(variant)) return res.status(400).json({ error: 'BAD_VARIANT' });
+
+      const iRes = await pool.query('SELECT market_hash_base FROM items WHERE id = $1;', [itemId]);
+      if (iRes.rowCount === 0) return res.status(404).json({ error: 'ITEM_NOT_FOUND' });
+
+      const name = marketHashName(iRes.rows[0].market_hash_base, wear, variant);
+      const history = await getPriceHistory(pool, name, { days: req.query.days });
+      const changes = await getPriceChanges(pool, [name]);
+
+      res.json({ item_id: itemId, wear, variant, ...history, ...changes.get(name) });
     })
   );
 
@@ -244,9 +672,14 @@ async function main() {
       const caseSlug = String(req.body.caseSlug || '').trim();
       if (!caseSlug) return res.status(400).json({ error: 'MISSING_CASE' });
 
+      const count = req.body.count === undefined ? 1 : Number(req.body.count);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_OPEN_COUNT) {
+        return res.status(400).json({ error: 'BAD_COUNT', max: MAX_OPEN_COUNT });
+      }
+
       const cRes = await pool.query(
         `
-        SELECT id, slug, name, image_url, case_price_cents, key_price_cents, active
+        SELECT id, slug, name, image_url, case_price_cents, key_price_cents, stattrak_chance, souvenir_chance, active
         FROM cases
         WHERE slug = $1 AND active = TRUE;
         `,
@@ -266,77 +699,265 @@ async function main() {
       );
       if (dropsRes.rowCount === 0) return res.status(400).json({ error: 'CASE_HAS_NO_ITEMS' });
 
-      const picked = weightedPick(dropsRes.rows, 'weight');
-
-      // Wear + float
-      const floatValue = randomFloat01(); // 0..1
-      const wear = wearFromFloat(floatValue);
+      // Provably-fair rolls: drop, float, pattern and variant all come from the user's seed pair,
+      // one nonce per case opened. They are deterministic, so the batch is rolled and priced
+      // before any lock is taken; the transaction then checks the seed has not moved on.
+      for (let attempt = 1; ; attempt += 1) {
+        const seed = await getActiveSeed(pool, req.user.id);
+        const firstNonce = Number(seed.nonce);
+
+        const rolls = [];
+        for (let i = 0; i < count; i += 1) {
+          const nonce = firstNonce + i;
+          const { picked, floatValue, patternIndex, variant } = rollOpening({
+            serverSeed: seed.server_seed,
+            clientSeed: seed.client_seed,
+            nonce,
+            items: dropsRes.rows,
+            chances: variantChances(c)
+          });
+          const wear = wearFromFloat(floatValue);
+          rolls.push({
+            nonce,
+            picked,
+            floatValue,
+            patternIndex,
+            wear,
+            variant,
+            marketHashName: marketHashName(picked.market_hash_base, wear, variant)
+          });
+        }
 
-      // Pattern for special items (knives/gloves)
-      const patternIndex = picked.is_special ? randomIntInclusive(0, 999) : null;
+        // One price lookup per distinct market hash name across the whole batch.
+        const prices = await getPricesCents(pool, rolls.map((r) => r.marketHashName));
 
-      // Market hash name for price lookup
-      const marketHashName = `${picked.market_hash_base} (${wear})`;
-      const priceCents = await getPriceCents(pool, marketHashName);
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [
+            req.user.id
+          ]);
+          const balance = Number(uRes.rows[0]?.gems_cents || 0);
+
+          // Case mastery takes a percentage off the key; the whole batch uses the level it started at.
+          const masteryBefore = await getCaseMastery(client, req.user.id, c.id);
+          const keyDiscount = keyDiscountCents(c.key_price_cents, masteryBefore.level);
+          const openCost = Number(c.case_price_cents || 0) + Number(c.key_price_cents || 0) - keyDiscount;
+          const totalCost = openCost * count;
+
+          if (balance < totalCost) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: totalCost });
+          }
 
-      const openCost = Number(c.case_price_cents || 0) + Number(c.key_price_cents || 0);
+          // Another open or a seed rotation got in first: the rolls above are stale. A second
+          // attempt re-rolls from the new nonce (a double click ends up as two opens in a row).
+          const current = await getActiveSeed(client, req.user.id, { forUpdate: true });
+          if (Number(current.id) !== Number(seed.id) || Number(current.nonce) !== firstNonce) {
+            await client.query('ROLLBACK');
+            if (attempt < OPEN_ATTEMPTS) continue;
+            return res.status(409).json({ error: 'SEED_CHANGED' });
+          }
+          await client.query('UPDATE fair_seeds SET nonce = nonce + $1 WHERE id = $2;', [count, seed.id]);
+
+          // Every case opened is a kill on the StatTrak™ items already held (not the ones dropping now).
+          await addStatTrakKills(client, req.user.id, count);
+
+          // Pin the openings to the odds they were rolled with.
+          const caseVersionId = await resolveCaseVersion(client, c, dropsRes.rows);
+
+          const drops = [];
+          let firstOpeningId = null;
+          for (const r of rolls) {
+            const priceCents = prices.get(r.marketHashName);
+
+            const invRes = await client.query(
+              `
+              INSERT INTO inventory
+                (user_id, item_id, case_id, wear, float_value, pattern_index, price_cents_at_drop, variant,
+                 stattrak_kills)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+              RETURNING id, created_at, stattrak_kills;
+              `,
+              [
+                req.user.id,
+                r.picked.id,
+                c.id,
+                r.wear,
+                r.floatValue,
+                r.patternIndex,
+                priceCents,
+                r.variant,
+                r.variant === 'stattrak' ? 0 : null
+              ]
+            );
+
+            const openingRes = await client.query(
+              `
+              INSERT INTO case_openings
+                (user_id, case_id, item_id, inventory_id, fair_seed_id, nonce, wear, float_value, pattern_index,
+                 cost_cents, price_cents, case_version_id, variant)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+              RETURNING id;
+              `,
+              [
+                req.user.id,
+                c.id,
+                r.picked.id,
+                invRes.rows[0].id,
+                seed.id,
+                r.nonce,
+                r.wear,
+                r.floatValue,
+                r.patternIndex,
+                openCost,
+                priceCents,
+                caseVersionId,
+                r.variant
+              ]
+            );
+            if (firstOpeningId === null) firstOpeningId = openingRes.rows[0].id;
+
+            drops.push({
+              inventory_id: invRes.rows[0].id,
+              created_at: invRes.rows[0].created_at,
+              item: {
+                id: r.picked.id,
+                name: r.picked.name,
+                weapon: r.picked.weapon,
+                rarity: r.picked.rarity,
+                is_special: r.picked.is_special,
+                image_url: r.picked.image_url,
+                market_hash_base: r.picked.market_hash_base
+              },
+              wear: r.wear,
+              float_value: r.floatValue,
+              pattern_index: r.patternIndex,
+              variant: r.variant,
+              stattrak_kills: invRes.rows[0].stattrak_kills,
+              market_hash_name: r.marketHashName,
+              price_cents: priceCents,
+              price_display: centsToDisplay(priceCents),
+              nonce: r.nonce
+            });
+          }
 
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
+          // Single deduction for the whole batch; the ledger row points at its first opening.
+          await applyGems(client, req.user.id, -totalCost, 'case_open', firstOpeningId);
+          const tierUps = await recordWager(client, req.user.id, { wageredCents: totalCost, casesOpened: count });
+          const xp = await awardXp(client, req.user.id, 'case_open', count);
+          const mastery = await addCaseMastery(client, req.user.id, c.id, count);
+          await recordOpenings(
+            client,
+            req.user.id,
+            drops.map((d) => ({
+              case_id: c.id,
+              item_id: d.item.id,
+              rarity: d.item.rarity,
+              wear: d.wear,
+              float_value: d.float_value,
+              price_cents: d.price_cents,
+              cost_cents: openCost
+            }))
+          );
+          const events = await emitEvent(
+            client,
+            req.user.id,
+            'case_open',
+            drops.map((d) => ({
+              case_id: Number(c.id),
+              case_slug: c.slug,
+              item_id: Number(d.item.id),
+              rarity: d.item.rarity,
+              is_special: d.item.is_special,
+              wear: d.wear,
+              float_value: d.float_value,
+              pattern_index: d.pattern_index,
+              variant: d.variant,
+              price_cents: d.price_cents
+            }))
+          );
 
-        const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [
-          req.user.id
-        ]);
-        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+          for (const d of drops) {
+            await publishFeedEvent(client, 'drop', {
+              user: { steam_id: req.user.steam_id, display_name: req.user.display_name, avatar: req.user.avatar },
+              case: { slug: c.slug, name: c.name },
+              item: d.item,
+              wear: d.wear,
+              float_value: d.float_value,
+              pattern_index: d.pattern_index,
+              variant: d.variant,
+              market_hash_name: d.market_hash_name,
+              price_cents: d.price_cents
+            });
+          }
 
-        if (balance < openCost) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: openCost });
+          const balRes = await client.query('SELECT gems_cents FROM users WHERE id = $1;', [req.user.id]);
+          const newBalance = Number(balRes.rows[0].gems_cents || 0);
+
+          await client.query('COMMIT');
+
+          return res.json({
+            ok: true,
+            balance_cents: newBalance,
+            cost_cents: totalCost,
+            key_discount_cents: keyDiscount * count,
+            count,
+            // `drop` is kept for single-open clients.
+            drop: drops[0],
+            drops,
+            tier_ups: tierUps,
+            xp,
+            mastery: { ...mastery, leveled_up: mastery.level > masteryBefore.level },
+            achievements: events.achievements,
+            missions: events.missions,
+            fair: {
+              server_seed_hash: seed.server_seed_hash,
+              client_seed: seed.client_seed,
+              nonce: firstNonce
+            }
+          });
+        } catch (err) {
+          try {
+            await client.query('ROLLBACK');
+          } catch (_) {}
+          throw err;
+        } finally {
+          client.release();
         }
+      }
+    })
+  );
 
-        const newBalance = balance - openCost;
+  // ---- Provably fair ----
 
-        await client.query('UPDATE users SET gems_cents = $1, updated_at = NOW() WHERE id = $2;', [
-          newBalance,
-          req.user.id
-        ]);
+  app.get(
+    '/api/fair',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const seed = await getActiveSeed(pool, req.user.id);
+      res.json({ seed: publicSeed(seed) });
+    })
+  );
 
-        const invRes = await client.query(
-          `
-          INSERT INTO inventory (user_id, item_id, wear, float_value, pattern_index, price_cents_at_drop)
-          VALUES ($1, $2, $3, $4, $5, $6)
-          RETURNING id, created_at;
-          `,
-          [req.user.id, picked.id, wear, floatValue, patternIndex, priceCents]
-        );
+  app.post(
+    '/api/fair/rotate',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      let clientSeed = null;
+      if (req.body.clientSeed !== undefined && req.body.clientSeed !== null && req.body.clientSeed !== '') {
+        clientSeed = normalizeClientSeed(req.body.clientSeed);
+        if (!clientSeed) return res.status(400).json({ error: 'BAD_CLIENT_SEED' });
+      }
 
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const { revealed, seed } = await rotateSeed(client, req.user.id, clientSeed);
         await client.query('COMMIT');
 
-        res.json({
-          ok: true,
-          balance_cents: newBalance,
-          cost_cents: openCost,
-          drop: {
-            inventory_id: invRes.rows[0].id,
-            created_at: invRes.rows[0].created_at,
-            item: {
-              id: picked.id,
-              name: picked.name,
-              weapon: picked.weapon,
-              rarity: picked.rarity,
-              is_special: picked.is_special,
-              image_url: picked.image_url,
-              market_hash_base: picked.market_hash_base
-            },
-            wear,
-            float_value: floatValue,
-            pattern_index: patternIndex,
-            market_hash_name: marketHashName,
-            price_cents: priceCents,
-            price_display: centsToDisplay(priceCents)
-          }
-        });
+        res.json({ ok: true, revealed: publicSeed(revealed), seed: publicSeed(seed) });
       } catch (err) {
         try {
           await client.query('ROLLBACK');
@@ -349,23 +970,106 @@ async function main() {
   );
 
   app.get(
-    '/api/inventory',
+    '/api/fair/seeds',
     requireAuth,
     asyncHandler(async (req, res) => {
       const rows = await pool.query(
         `
-        SELECT inv.id, inv.wear, inv.float_value, inv.pattern_index, inv.price_cents_at_drop, inv.created_at,
-               i.name, i.weapon, i.rarity, i.is_special, i.image_url, i.market_hash_base
-        FROM inventory inv
-        JOIN items i ON i.id = inv.item_id
-        WHERE inv.user_id = $1
-        ORDER BY inv.created_at DESC
-        LIMIT 200;
+        SELECT *
+        FROM fair_seeds
+        WHERE user_id = $1
+        ORDER BY id DESC
+        LIMIT 50;
         `,
         [req.user.id]
       );
+      res.json({ seeds: rows.rows.map(publicSeed) });
+    })
+  );
+
+  // Public on purpose: anyone can audit any opening once its server seed is revealed.
+  app.get(
+    '/api/fair/verify/:inventoryId',
+    asyncHandler(async (req, res) => {
+      const invId = Number(req.params.inventoryId);
+      if (!Number.isFinite(invId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const oRes = await pool.query(
+        `
+        SELECT o.id, o.case_id, o.item_id, o.inventory_id, o.nonce, o.wear, o.float_value, o.pattern_index,
+               o.variant, o.created_at, s.server_seed, s.server_seed_hash, s.client_seed, s.active,
+               v.version AS case_version, v.snapshot->'items' AS version_items, v.snapshot->'case' AS version_case
+        FROM case_openings o
+        JOIN fair_seeds s ON s.id = o.fair_seed_id
+        LEFT JOIN case_versions v ON v.id = o.case_version_id
+        WHERE o.inventory_id = $1;
+        `,
+        [invId]
+      );
+      if (oRes.rowCount === 0) return res.status(404).json({ error: 'OPENING_NOT_FOUND' });
+      const o = oRes.rows[0];
+
+      const opening = {
+        inventory_id: Number(o.inventory_id),
+        case_id: o.case_id === null ? null : Number(o.case_id),
+        item_id: o.item_id === null ? null : Number(o.item_id),
+        nonce: Number(o.nonce),
+        wear: o.wear,
+        float_value: Number(o.float_value),
+        pattern_index: o.pattern_index,
+        variant: o.variant,
+        case_version: o.case_version === null ? null : Number(o.case_version),
+        created_at: o.created_at
+      };
+      const fair = {
+        server_seed_hash: o.server_seed_hash,
+        server_seed: o.active ? null : o.server_seed,
+        client_seed: o.client_seed,
+        nonce: opening.nonce
+      };
+
+      if (o.active) {
+        return res.status(400).json({ error: 'SEED_NOT_REVEALED', opening, fair });
+      }
+
+      // Versioned openings are checked against the odds they were rolled with; older ones fall
+      // back to the case's current contents.
+      let items = o.version_items;
+      if (!items) {
+        const itemsRes = await pool.query(
+          `
+          SELECT ci.weight, i.id, i.is_special
+          FROM case_items ci
+          JOIN items i ON i.id = ci.item_id
+          WHERE ci.case_id = $1;
+          `,
+          [o.case_id]
+        );
+        items = itemsRes.rows;
+      }
+      if (items.length === 0) return res.status(400).json({ error: 'CASE_HAS_NO_ITEMS', opening, fair });
+
+      // Variant chances come from the version too; openings without one predate variants.
+      const result = verifyOpening({ opening: o, seed: o, items, chances: variantChances(o.version_case) });
+
+      res.json({
+        ok: true,
+        verified: result.matches,
+        opening,
+        fair,
+        expected: { ...result.expected, wear: wearFromFloat(result.expected.float_value) }
+      });
+    })
+  );
+
+  app.get(
+    '/api/inventory',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const filters = parseInventoryQuery(req.query);
+      if (filters.error) return res.status(400).json(filters);
 
-      res.json({ items: rows.rows });
+      res.json(await listInventory(pool, req.user.id, filters));
     })
   );
 
@@ -376,47 +1080,1739 @@ async function main() {
       const invId = Number(req.params.id);
       if (!Number.isFinite(invId)) return res.status(400).json({ error: 'BAD_ID' });
 
+      let quotedPrices = null;
+      if (req.body.quote) {
+        const verified = verifySellQuote(req.body.quote, req.user.id);
+        if (verified.error) return res.status(400).json(verified);
+        quotedPrices = verified.prices;
+      }
+
+      const prices = await priceSale(pool, [invId], { quotedPrices });
+
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
 
-        const invRes = await client.query(
+        const result = await sellInventory(client, req.user.id, [invId], prices);
+        if (result.error) {
+          await client.query('ROLLBACK');
+          return res.status(sellErrorStatus(result.error)).json({ error: result.error });
+        }
+
+        await client.query('COMMIT');
+        res.json({ ok: true, ...result });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // "You'll get X": a signed price that /sell honours until it expires.
+  app.post(
+    '/api/inventory/quote',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const ids = parseBulkIds(req.body.inventoryIds);
+      if (!ids) return res.status(400).json({ error: 'BAD_ITEMS', max: MAX_BULK_SELL_ITEMS });
+
+      const quote = await createSellQuote(pool, req.user.id, ids);
+      if (quote.error) return res.status(sellErrorStatus(quote.error)).json(quote);
+
+      res.json({ ok: true, ...quote });
+    })
+  );
+
+  // Bulk sell: `{ inventoryIds }` sells exactly those items, `{ filter, maxPriceCents }` sells
+  // everything matching an /api/inventory style filter except locked, favourite and listed items.
+  app.post(
+    '/api/inventory/sell',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      let ids = null;
+      let filters = null;
+      if (req.body.inventoryIds !== undefined) {
+        ids = parseBulkIds(req.body.inventoryIds);
+        if (!ids) return res.status(400).json({ error: 'BAD_ITEMS', max: MAX_BULK_SELL_ITEMS });
+      } else if (req.body.filter && typeof req.body.filter === 'object') {
+        filters = parseInventoryQuery({ ...req.body.filter, cursor: undefined }, { strict: true });
+        if (filters.error) return res.status(400).json(filters);
+      } else {
+        return res.status(400).json({ error: 'MISSING_ITEMS_OR_FILTER' });
+      }
+
+      // A cap that cannot be read must not turn into "no cap".
+      let maxPriceCents = null;
+      if (req.body.maxPriceCents !== undefined && req.body.maxPriceCents !== null) {
+        maxPriceCents = Number(req.body.maxPriceCents);
+        if (!Number.isInteger(maxPriceCents) || maxPriceCents < 0) {
+          return res.status(400).json({ error: 'BAD_MAX_PRICE' });
+        }
+      }
+
+      let quotedPrices = null;
+      if (req.body.quote) {
+        const verified = verifySellQuote(req.body.quote, req.user.id);
+        if (verified.error) return res.status(400).json(verified);
+        quotedPrices = verified.prices;
+      }
+
+      // Items are chosen and priced up front; sellInventory re-checks each one under lock.
+      let more = false;
+      if (filters) {
+        ({ ids, more } = await selectSellableIds(pool, req.user.id, filters, { maxPriceCents }));
+        if (ids.length === 0) return res.status(400).json({ error: 'NOTHING_TO_SELL' });
+      }
+      const prices = await priceSale(pool, ids, { quotedPrices });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const result = await sellInventory(client, req.user.id, ids, prices, { bulk: true });
+        if (result.error) {
+          await client.query('ROLLBACK');
+          return res.status(sellErrorStatus(result.error)).json(result);
+        }
+
+        await client.query('COMMIT');
+        res.json({ ok: true, sold: result.items.length, more, ...result });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.post(
+    '/api/inventory/flags',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const ids = parseBulkIds(req.body.inventoryIds);
+      if (!ids) return res.status(400).json({ error: 'BAD_ITEMS', max: MAX_BULK_SELL_ITEMS });
+
+      // Only real booleans: a stray "true" or 1 must not quietly unlock an item.
+      const { locked, favorite } = req.body;
+      if ([locked, favorite].some((v) => v !== undefined && typeof v !== 'boolean')) {
+        return res.status(400).json({ error: 'BAD_FLAG' });
+      }
+
+      const ownedRes = await pool.query('SELECT id FROM inventory WHERE id = ANY($1::bigint[]) AND user_id = $2;', [
+        ids,
+        req.user.id
+      ]);
+      if (ownedRes.rowCount !== ids.length) return res.status(403).json({ error: 'NOT_YOURS' });
+
+      // A listed item could still sell once locked; cancel the listing first.
+      if (locked === true) {
+        const listed = await listedInventoryIds(pool, ids);
+        if (listed.size > 0) return res.status(400).json({ error: 'ITEM_LISTED', inventory_id: [...listed][0] });
+      }
+
+      const rows = await pool.query(
+        `
+        UPDATE inventory
+        SET locked = COALESCE($1, locked), favorite = COALESCE($2, favorite)
+        WHERE id = ANY($3::bigint[]) AND user_id = $4
+        RETURNING id, locked, favorite;
+        `,
+        [locked ?? null, favorite ?? null, ids, req.user.id]
+      );
+
+      res.json({ ok: true, items: rows.rows });
+    })
+  );
+
+  // ---- Trade-up contracts ----
+
+  // Dry run: shows every possible output with its odds before committing.
+  app.post(
+    '/api/tradeups/preview',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const ids = parseTradeupIds(req.body.inventoryIds);
+      if (!ids) return res.status(400).json({ error: 'BAD_TRADEUP_INPUTS', required: TRADEUP_SIZE });
+
+      const plan = await planTradeup(pool, req.user.id, ids);
+      if (plan.error) return res.status(400).json({ error: plan.error });
+
+      const prices = await getPricesCents(pool, plan.outcomes.map((o) => o.market_hash_name));
+
+      res.json({
+        input_rarity: plan.rarity,
+        output_rarity: plan.outputRarity,
+        float_value: plan.floatValue,
+        wear: plan.wear,
+        variant: plan.variant,
+        outcomes: plan.outcomes.map((o) => ({
+          item: o.item,
+          probability: o.probability,
+          market_hash_name: o.market_hash_name,
+          price_cents: prices.get(o.market_hash_name)
+        }))
+      });
+    })
+  );
+
+  app.post(
+    '/api/tradeups',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const ids = parseTradeupIds(req.body.inventoryIds);
+      if (!ids) return res.status(400).json({ error: 'BAD_TRADEUP_INPUTS', required: TRADEUP_SIZE });
+
+      // Every possible output is priced before the inputs are locked; the plan is redone under lock.
+      const preview = await planTradeup(pool, req.user.id, ids);
+      if (preview.error) return res.status(400).json({ error: preview.error });
+      const prices = await getPricesCents(pool, preview.outcomes.map((o) => o.market_hash_name));
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const plan = await planTradeup(client, req.user.id, ids, { forUpdate: true });
+        if (plan.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: plan.error });
+        }
+
+        const outcome = weightedPick(plan.outcomes, 'probability');
+        // Only possible if the case contents changed since the preview above.
+        if (!prices.has(outcome.market_hash_name)) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'TRADEUP_CHANGED' });
+        }
+        const priceCents = prices.get(outcome.market_hash_name);
+
+        await client.query('DELETE FROM inventory WHERE id = ANY($1::bigint[]);', [ids]);
+
+        const invRes = await client.query(
+          `
+          INSERT INTO inventory
+            (user_id, item_id, case_id, wear, float_value, pattern_index, price_cents_at_drop, variant, stattrak_kills)
+          VALUES ($1, $2, $3, $4, $5, NULL, $6, $7, $8)
+          RETURNING id, created_at, stattrak_kills;
+          `,
+          [
+            req.user.id,
+            outcome.item.id,
+            outcome.case_id,
+            plan.wear,
+            plan.floatValue,
+            priceCents,
+            plan.variant,
+            plan.variant === 'stattrak' ? 0 : null
+          ]
+        );
+
+        await client.query(
+          `
+          INSERT INTO tradeups
+            (user_id, input_inventory_ids, input_rarity, output_item_id, output_inventory_id, float_value)
+          VALUES ($1, $2, $3, $4, $5, $6);
+          `,
+          [req.user.id, ids, plan.rarity, outcome.item.id, invRes.rows[0].id, plan.floatValue]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+          ok: true,
+          consumed_inventory_ids: ids,
+          drop: {
+            inventory_id: invRes.rows[0].id,
+            created_at: invRes.rows[0].created_at,
+            item: outcome.item,
+            wear: plan.wear,
+            float_value: plan.floatValue,
+            pattern_index: null,
+            variant: plan.variant,
+            stattrak_kills: invRes.rows[0].stattrak_kills,
+            market_hash_name: outcome.market_hash_name,
+            price_cents: priceCents,
+            price_display: centsToDisplay(priceCents),
+            probability: outcome.probability
+          }
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // ---- Item upgrader ----
+
+  app.post(
+    '/api/upgrader/preview',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const input = parseUpgradeRequest(req.body);
+      if (!input.ids) return res.status(400).json({ error: 'BAD_STAKE', max: MAX_UPGRADE_STAKE_ITEMS });
+      if (!Number.isFinite(input.targetItemId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const priced = await priceUpgradeTarget(pool, input);
+      if (priced.error) return res.status(400).json(priced);
+      const plan = await planUpgrade(pool, req.user.id, input.ids, priced);
+      if (plan.error) return res.status(400).json(plan);
+
+      res.json({
+        stake_cents: plan.stakeCents,
+        target: {
+          item: plan.target,
+          wear: plan.targetWear,
+          variant: plan.targetVariant,
+          market_hash_name: plan.targetName
+        },
+        target_price_cents: plan.targetPrice,
+        chance: plan.chance,
+        house_edge: plan.houseEdge
+      });
+    })
+  );
+
+  app.post(
+    '/api/upgrader',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const input = parseUpgradeRequest(req.body);
+      if (!input.ids) return res.status(400).json({ error: 'BAD_STAKE', max: MAX_UPGRADE_STAKE_ITEMS });
+      if (!Number.isFinite(input.targetItemId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const priced = await priceUpgradeTarget(pool, input);
+      if (priced.error) return res.status(400).json(priced);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const plan = await planUpgrade(client, req.user.id, input.ids, priced, { forUpdate: true });
+        if (plan.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json(plan);
+        }
+
+        const roll = randomFloat01();
+        const won = roll < plan.chance;
+
+        // The stake is consumed either way.
+        await client.query('DELETE FROM inventory WHERE id = ANY($1::bigint[]);', [input.ids]);
+
+        let drop = null;
+        if (won) {
+          const floatValue = rollFloatForWear(plan.targetWear);
+          const patternIndex = plan.target.is_special ? randomIntInclusive(0, 999) : null;
+
+          const invRes = await client.query(
+            `
+            INSERT INTO inventory
+              (user_id, item_id, case_id, wear, float_value, pattern_index, price_cents_at_drop, variant,
+               stattrak_kills)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, created_at, stattrak_kills;
+            `,
+            [
+              req.user.id,
+              plan.target.id,
+              plan.target.case_id,
+              plan.targetWear,
+              floatValue,
+              patternIndex,
+              plan.targetPrice,
+              plan.targetVariant,
+              plan.targetVariant === 'stattrak' ? 0 : null
+            ]
+          );
+
+          drop = {
+            inventory_id: invRes.rows[0].id,
+            created_at: invRes.rows[0].created_at,
+            item: plan.target,
+            wear: plan.targetWear,
+            float_value: floatValue,
+            pattern_index: patternIndex,
+            variant: plan.targetVariant,
+            stattrak_kills: invRes.rows[0].stattrak_kills,
+            market_hash_name: plan.targetName,
+            price_cents: plan.targetPrice,
+            price_display: centsToDisplay(plan.targetPrice)
+          };
+        }
+
+        await client.query(
+          `
+          INSERT INTO upgrades
+            (user_id, staked_inventory_ids, stake_cents, target_item_id, target_wear, target_variant,
+             target_price_cents, chance, roll, won, output_inventory_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11);
+          `,
+          [
+            req.user.id,
+            input.ids,
+            plan.stakeCents,
+            plan.target.id,
+            plan.targetWear,
+            plan.targetVariant,
+            plan.targetPrice,
+            plan.chance,
+            roll,
+            won,
+            drop ? drop.inventory_id : null
+          ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+          ok: true,
+          won,
+          chance: plan.chance,
+          roll,
+          stake_cents: plan.stakeCents,
+          consumed_inventory_ids: input.ids,
+          drop
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // ---- Trade offers ----
+
+  app.get(
+    '/api/trades',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const box = req.query.box === 'outgoing' ? 'outgoing' : 'incoming';
+      const status = req.query.status ? String(req.query.status) : null;
+
+      const rows = await pool.query(
+        `
+        SELECT o.id, o.status, o.sender_gems_cents, o.recipient_gems_cents, o.parent_offer_id, o.message,
+               o.created_at, o.updated_at,
+               s.steam_id AS sender_steam_id, s.display_name AS sender_display_name,
+               r.steam_id AS recipient_steam_id, r.display_name AS recipient_display_name,
+               (SELECT COUNT(*) FROM trade_offer_items t
+                WHERE t.offer_id = o.id AND t.side = 'sender') AS sender_items,
+               (SELECT COUNT(*) FROM trade_offer_items t
+                WHERE t.offer_id = o.id AND t.side = 'recipient') AS recipient_items
+        FROM trade_offers o
+        JOIN users s ON s.id = o.sender_id
+        JOIN users r ON r.id = o.recipient_id
+        WHERE ${box === 'outgoing' ? 'o.sender_id' : 'o.recipient_id'} = $1
+          AND ($2::text IS NULL OR o.status = $2)
+        ORDER BY o.created_at DESC
+        LIMIT 50;
+        `,
+        [req.user.id, status]
+      );
+
+      res.json({ box, offers: rows.rows });
+    })
+  );
+
+  app.get(
+    '/api/trades/:id',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const offerId = Number(req.params.id);
+      if (!Number.isFinite(offerId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const oRes = await pool.query('SELECT sender_id, recipient_id FROM trade_offers WHERE id = $1;', [offerId]);
+      if (oRes.rowCount === 0) return res.status(404).json({ error: 'TRADE_NOT_FOUND' });
+      const o = oRes.rows[0];
+      if (![Number(o.sender_id), Number(o.recipient_id)].includes(Number(req.user.id))) {
+        return res.status(403).json({ error: 'NOT_YOURS' });
+      }
+
+      res.json({ offer: await getOffer(pool, offerId) });
+    })
+  );
+
+  app.post(
+    '/api/trades',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const recipientSteamId = String(req.body.recipientSteamId || '').trim();
+      if (!recipientSteamId) return res.status(400).json({ error: 'MISSING_RECIPIENT' });
+
+      const terms = parseOfferTerms(req.body);
+      if (terms.error) return res.status(400).json(terms);
+
+      const rRes = await pool.query('SELECT id FROM users WHERE steam_id = $1;', [recipientSteamId]);
+      if (rRes.rowCount === 0) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+      const recipientId = Number(rRes.rows[0].id);
+      if (recipientId === Number(req.user.id)) return res.status(400).json({ error: 'CANNOT_TRADE_SELF' });
+
+      const client = await pool.connect();
+      let created;
+      try {
+        await client.query('BEGIN');
+
+        created = await createOffer(client, { senderId: req.user.id, recipientId, terms });
+        if (created.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json(created);
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      res.json({ ok: true, offer: await getOffer(pool, created.offerId) });
+    })
+  );
+
+  // accept / decline / counter are the recipient's moves, cancel is the sender's.
+  const TRADE_ACTIONS = {
+    accept: 'recipient',
+    decline: 'recipient',
+    counter: 'recipient',
+    cancel: 'sender'
+  };
+
+  app.post(
+    '/api/trades/:id/:action(accept|decline|counter|cancel)',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const offerId = Number(req.params.id);
+      if (!Number.isFinite(offerId)) return res.status(400).json({ error: 'BAD_ID' });
+      const action = req.params.action;
+
+      let counterTerms = null;
+      if (action === 'counter') {
+        counterTerms = parseOfferTerms(req.body);
+        if (counterTerms.error) return res.status(400).json(counterTerms);
+      }
+
+      const client = await pool.connect();
+      let resultOfferId = offerId;
+      try {
+        await client.query('BEGIN');
+
+        const oRes = await client.query('SELECT * FROM trade_offers WHERE id = $1 FOR UPDATE;', [offerId]);
+        if (oRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'TRADE_NOT_FOUND' });
+        }
+        const offer = oRes.rows[0];
+
+        const actorSide = TRADE_ACTIONS[action];
+        const actorId = Number(actorSide === 'sender' ? offer.sender_id : offer.recipient_id);
+        if (actorId !== Number(req.user.id)) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ error: 'NOT_YOURS' });
+        }
+        if (offer.status !== 'pending') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'TRADE_NOT_PENDING', status: offer.status });
+        }
+
+        if (action === 'accept') {
+          const settled = await settleOffer(client, offer);
+          if (settled.error === 'ITEM_NO_LONGER_AVAILABLE') {
+            // The offer can never go through now; close it instead of leaving it pending.
+            await setOfferStatus(client, offerId, 'failed', req.user.id, settled.error);
+            await client.query('COMMIT');
+            return res.status(400).json(settled);
+          }
+          if (settled.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json(settled);
+          }
+          await setOfferStatus(client, offerId, 'accepted', req.user.id);
+        } else if (action === 'counter') {
+          // The recipient becomes the sender of a new offer back to the original sender.
+          const created = await createOffer(client, {
+            senderId: offer.recipient_id,
+            recipientId: offer.sender_id,
+            terms: counterTerms,
+            parentOfferId: offerId
+          });
+          if (created.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json(created);
+          }
+          await setOfferStatus(client, offerId, 'countered', req.user.id, `counter offer ${created.offerId}`);
+          resultOfferId = created.offerId;
+        } else {
+          await setOfferStatus(client, offerId, action === 'decline' ? 'declined' : 'cancelled', req.user.id);
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      res.json({ ok: true, offer: await getOffer(pool, resultOfferId) });
+    })
+  );
+
+  // ---- Community marketplace ----
+
+  app.get(
+    '/api/market/listings',
+    asyncHandler(async (req, res) => {
+      const filters = parseListingFilters(req.query);
+      const listings = await searchListings(pool, filters);
+      res.json({ listings, limit: filters.limit, offset: filters.offset, fee_rate: marketFeeRate() });
+    })
+  );
+
+  app.get(
+    '/api/market/sales',
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT l.id, l.market_hash_name, l.wear, l.float_value, l.pattern_index, l.price_cents,
+               l.closed_at AS sold_at, i.name, i.weapon, i.rarity, i.is_special, i.image_url
+        FROM market_listings l
+        LEFT JOIN items i ON i.id = l.item_id
+        WHERE l.status = 'sold'
+        ORDER BY l.closed_at DESC
+        LIMIT 50;
+        `
+      );
+      res.json({ sales: rows.rows });
+    })
+  );
+
+  app.post(
+    '/api/market/listings',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const invId = Number(req.body.inventoryId);
+      const priceCents = Number(req.body.priceCents);
+      if (!Number.isFinite(invId)) return res.status(400).json({ error: 'BAD_ID' });
+      if (!Number.isInteger(priceCents) || priceCents <= 0) return res.status(400).json({ error: 'BAD_PRICE' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const invRes = await client.query(
+          `
+          SELECT inv.id, inv.user_id, inv.item_id, inv.wear, inv.float_value, inv.pattern_index, inv.variant,
+                 inv.locked, i.market_hash_base
+          FROM inventory inv
+          JOIN items i ON i.id = inv.item_id
+          WHERE inv.id = $1
+          FOR UPDATE OF inv;
+          `,
+          [invId]
+        );
+        if (invRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'INVENTORY_NOT_FOUND' });
+        }
+        const inv = invRes.rows[0];
+        if (Number(inv.user_id) !== Number(req.user.id)) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ error: 'NOT_YOURS' });
+        }
+        if (inv.locked) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'ITEM_LOCKED' });
+        }
+        if ((await listedInventoryIds(client, [invId])).size > 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'ITEM_LISTED' });
+        }
+
+        const lRes = await client.query(
+          `
+          INSERT INTO market_listings
+            (seller_id, inventory_id, item_id, market_hash_name, wear, float_value, pattern_index, price_cents)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *;
+          `,
+          [
+            req.user.id,
+            invId,
+            inv.item_id,
+            marketHashName(inv.market_hash_base, inv.wear, inv.variant),
+            inv.wear,
+            inv.float_value,
+            inv.pattern_index,
+            priceCents
+          ]
+        );
+        const listing = lRes.rows[0];
+
+        const filled = await matchListing(client, listing);
+
+        await client.query('COMMIT');
+
+        res.json({
+          ok: true,
+          listing_id: Number(listing.id),
+          market_hash_name: listing.market_hash_name,
+          price_cents: priceCents,
+          fee_cents: feeFor(priceCents),
+          filled_by_buy_order: filled
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.post(
+    '/api/market/listings/:id/cancel',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const listingId = Number(req.params.id);
+      if (!Number.isFinite(listingId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const upd = await pool.query(
+        `
+        UPDATE market_listings
+        SET status = 'cancelled', closed_at = NOW()
+        WHERE id = $1 AND seller_id = $2 AND status = 'active'
+        RETURNING id;
+        `,
+        [listingId, req.user.id]
+      );
+      if (upd.rowCount === 0) return res.status(404).json({ error: 'LISTING_NOT_FOUND' });
+
+      res.json({ ok: true });
+    })
+  );
+
+  app.post(
+    '/api/market/listings/:id/buy',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const listingId = Number(req.params.id);
+      if (!Number.isFinite(listingId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const lRes = await client.query('SELECT * FROM market_listings WHERE id = $1 FOR UPDATE;', [listingId]);
+        if (lRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'LISTING_NOT_FOUND' });
+        }
+        const listing = lRes.rows[0];
+        if (listing.status !== 'active') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'LISTING_NOT_ACTIVE' });
+        }
+        if (Number(listing.seller_id) === Number(req.user.id)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'CANNOT_BUY_OWN_LISTING' });
+        }
+
+        const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [req.user.id]);
+        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+        const price = Number(listing.price_cents);
+        if (balance < price) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: price });
+        }
+
+        const sale = await executeSale(client, listing, { buyerId: req.user.id });
+        if (sale.error) {
+          // Keep the cancellation of the stale listing.
+          await client.query('COMMIT');
+          return res.status(409).json({ error: sale.error });
+        }
+
+        await client.query('COMMIT');
+
+        res.json({
+          ok: true,
+          inventory_id: Number(listing.inventory_id),
+          market_hash_name: listing.market_hash_name,
+          cost_cents: sale.price_cents,
+          balance_cents: balance - sale.price_cents
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.get(
+    '/api/market/buy-orders',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT id, market_hash_name, max_price_cents, quantity, filled, status, created_at, updated_at
+        FROM market_buy_orders
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT 100;
+        `,
+        [req.user.id]
+      );
+      res.json({ buy_orders: rows.rows });
+    })
+  );
+
+  app.post(
+    '/api/market/buy-orders',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const name = String(req.body.marketHashName || '').trim();
+      const maxPrice = Number(req.body.maxPriceCents);
+      const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+      if (!name) return res.status(400).json({ error: 'MISSING_MARKET_HASH_NAME' });
+      if (!Number.isInteger(maxPrice) || maxPrice <= 0) return res.status(400).json({ error: 'BAD_PRICE' });
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BUY_ORDER_QUANTITY) {
+        return res.status(400).json({ error: 'BAD_QUANTITY', max: MAX_BUY_ORDER_QUANTITY });
+      }
+
+      const escrow = maxPrice * quantity;
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [req.user.id]);
+        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+        if (balance < escrow) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: escrow });
+        }
+
+        const oRes = await client.query(
+          `
+          INSERT INTO market_buy_orders (user_id, market_hash_name, max_price_cents, quantity)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *;
+          `,
+          [req.user.id, name, maxPrice, quantity]
+        );
+        const order = oRes.rows[0];
+
+        await applyGems(client, req.user.id, -escrow, 'buy_order_escrow', order.id);
+        const fills = await matchBuyOrder(client, order);
+
+        const balRes = await client.query('SELECT gems_cents FROM users WHERE id = $1;', [req.user.id]);
+
+        await client.query('COMMIT');
+
+        res.json({
+          ok: true,
+          buy_order_id: Number(order.id),
+          escrow_cents: escrow,
+          fills,
+          balance_cents: Number(balRes.rows[0].gems_cents || 0)
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.post(
+    '/api/market/buy-orders/:id/cancel',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const orderId = Number(req.params.id);
+      if (!Number.isFinite(orderId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const oRes = await client.query(
+          `SELECT * FROM market_buy_orders WHERE id = $1 AND user_id = $2 AND status = 'active' FOR UPDATE;`,
+          [orderId, req.user.id]
+        );
+        if (oRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'BUY_ORDER_NOT_FOUND' });
+        }
+        const order = oRes.rows[0];
+
+        const refund = Number(order.max_price_cents) * (Number(order.quantity) - Number(order.filled));
+        await client.query(`UPDATE market_buy_orders SET status = 'cancelled', updated_at = NOW() WHERE id = $1;`, [
+          orderId
+        ]);
+        const balance = await applyGems(client, req.user.id, refund, 'buy_order_refund', orderId);
+
+        await client.query('COMMIT');
+
+        res.json({ ok: true, refund_cents: refund, balance_cents: balance });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // ---- Case battles ----
+
+  app.get(
+    '/api/battles',
+    asyncHandler(async (req, res) => {
+      const status = ['open', 'finished', 'cancelled'].includes(req.query.status) ? req.query.status : 'open';
+
+      const rows = await pool.query(
+        `
+        SELECT b.id, b.mode, b.seat_count, b.cost_cents, b.status, b.winner_team, b.total_value_cents,
+               b.created_at, b.finished_at, cardinality(b.case_ids) AS rounds,
+               u.steam_id AS creator_steam_id, u.display_name AS creator_display_name,
+               (SELECT COUNT(*) FROM battle_seats s
+                WHERE s.battle_id = b.id AND (s.user_id IS NOT NULL OR s.is_bot)) AS seats_taken
+        FROM battles b
+        JOIN users u ON u.id = b.creator_id
+        WHERE b.status = $1
+        ORDER BY b.created_at DESC
+        LIMIT 50;
+        `,
+        [status]
+      );
+
+      res.json({ battles: rows.rows });
+    })
+  );
+
+  app.get(
+    '/api/battles/:id',
+    asyncHandler(async (req, res) => {
+      const battleId = Number(req.params.id);
+      if (!Number.isFinite(battleId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const detail = await getBattle(pool, battleId);
+      if (!detail) return res.status(404).json({ error: 'BATTLE_NOT_FOUND' });
+      res.json(detail);
+    })
+  );
+
+  app.post(
+    '/api/battles',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const mode = String(req.body.mode || '1v1');
+      if (!Object.hasOwn(BATTLE_MODES, mode)) {
+        return res.status(400).json({ error: 'BAD_MODE', modes: Object.keys(BATTLE_MODES) });
+      }
+      const layout = BATTLE_MODES[mode];
+
+      const caseSlugs = Array.isArray(req.body.caseSlugs) ? req.body.caseSlugs.map((s) => String(s).trim()) : [];
+      if (caseSlugs.length === 0 || caseSlugs.length > MAX_BATTLE_ROUNDS) {
+        return res.status(400).json({ error: 'BAD_CASES', max: MAX_BATTLE_ROUNDS });
+      }
+
+      const cRes = await pool.query(
+        `
+        SELECT c.id, c.slug, c.case_price_cents, c.key_price_cents,
+               EXISTS (SELECT 1 FROM case_items ci WHERE ci.case_id = c.id) AS has_items
+        FROM cases c
+        WHERE c.slug = ANY($1::text[]) AND c.active = TRUE;
+        `,
+        [caseSlugs]
+      );
+      const casesBySlug = new Map(cRes.rows.map((c) => [c.slug, c]));
+
+      const rounds = [];
+      for (const slug of caseSlugs) {
+        const c = casesBySlug.get(slug);
+        if (!c) return res.status(404).json({ error: 'CASE_NOT_FOUND', slug });
+        if (!c.has_items) return res.status(400).json({ error: 'CASE_HAS_NO_ITEMS', slug });
+        rounds.push(c);
+      }
+
+      const cost = rounds.reduce(
+        (sum, c) => sum + Number(c.case_price_cents || 0) + Number(c.key_price_cents || 0),
+        0
+      );
+      const fillBots = req.body.fillBots === true;
+      // Rolled and priced up front; the battle only starts here when bots fill it.
+      const rolled = fillBots
+        ? await rollBattle(pool, { case_ids: rounds.map((c) => c.id), seat_count: layout.seatCount })
+        : null;
+
+      const client = await pool.connect();
+      let battleId;
+      try {
+        await client.query('BEGIN');
+
+        const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [req.user.id]);
+        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+        if (balance < cost) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: cost });
+        }
+
+        const bRes = await client.query(
+          `
+          INSERT INTO battles (creator_id, mode, seat_count, team_size, case_ids, cost_cents)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *;
+          `,
+          [req.user.id, mode, layout.seatCount, layout.teamSize, rounds.map((c) => c.id), cost]
+        );
+        const battle = bRes.rows[0];
+        battleId = Number(battle.id);
+
+        for (let seat = 0; seat < layout.seatCount; seat += 1) {
+          await client.query(
+            `
+            INSERT INTO battle_seats (battle_id, seat_index, team, user_id, joined_at)
+            VALUES ($1, $2, $3, $4, $5);
+            `,
+            [
+              battleId,
+              seat,
+              teamForSeat(seat, layout.teamSize),
+              seat === 0 ? req.user.id : null,
+              seat === 0 ? new Date() : null
+            ]
+          );
+        }
+
+        await applyGems(client, req.user.id, -cost, 'battle_entry', battleId);
+
+        if (fillBots) {
+          await fillSeatsWithBots(client, battleId);
+          await runBattle(client, battle, rolled);
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      res.json({ ok: true, ...(await getBattle(pool, battleId)) });
+    })
+  );
+
+  app.post(
+    '/api/battles/:id/join',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const battleId = Number(req.params.id);
+      if (!Number.isFinite(battleId)) return res.status(400).json({ error: 'BAD_ID' });
+      const wantedSeat = req.body.seat === undefined ? null : Number(req.body.seat);
+
+      // Any join may fill the last seat, so the rounds are rolled and priced before locking.
+      // Rounds and seat count never change once a battle exists.
+      const snapshot = await pool.query('SELECT * FROM battles WHERE id = $1;', [battleId]);
+      if (snapshot.rowCount === 0) return res.status(404).json({ error: 'BATTLE_NOT_FOUND' });
+      if (snapshot.rows[0].status !== 'open') return res.status(400).json({ error: 'BATTLE_NOT_OPEN' });
+      const rolled = await rollBattle(pool, snapshot.rows[0]);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const bRes = await client.query('SELECT * FROM battles WHERE id = $1 FOR UPDATE;', [battleId]);
+        if (bRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'BATTLE_NOT_FOUND' });
+        }
+        const battle = bRes.rows[0];
+        if (battle.status !== 'open') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'BATTLE_NOT_OPEN' });
+        }
+
+        const seatsRes = await client.query(
+          'SELECT seat_index, user_id, is_bot FROM battle_seats WHERE battle_id = $1 ORDER BY seat_index ASC;',
+          [battleId]
+        );
+        const seats = seatsRes.rows;
+        if (seats.some((s) => s.user_id !== null && Number(s.user_id) === Number(req.user.id))) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'ALREADY_JOINED' });
+        }
+
+        const seat =
+          wantedSeat === null
+            ? seats.find(seatIsEmpty)
+            : seats.find((s) => Number(s.seat_index) === wantedSeat && seatIsEmpty(s));
+        if (!seat) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: wantedSeat === null ? 'BATTLE_FULL' : 'SEAT_TAKEN' });
+        }
+
+        const cost = Number(battle.cost_cents);
+        const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [req.user.id]);
+        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+        if (balance < cost) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: cost });
+        }
+
+        await client.query(
+          'UPDATE battle_seats SET user_id = $1, joined_at = NOW() WHERE battle_id = $2 AND seat_index = $3;',
+          [req.user.id, battleId, seat.seat_index]
+        );
+        await applyGems(client, req.user.id, -cost, 'battle_entry', battleId);
+
+        // Last seat filled: the battle runs right away.
+        if (seats.filter(seatIsEmpty).length === 1) {
+          await runBattle(client, battle, rolled);
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      res.json({ ok: true, ...(await getBattle(pool, battleId)) });
+    })
+  );
+
+  app.post(
+    '/api/battles/:id/leave',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const battleId = Number(req.params.id);
+      if (!Number.isFinite(battleId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const bRes = await client.query('SELECT * FROM battles WHERE id = $1 FOR UPDATE;', [battleId]);
+        if (bRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'BATTLE_NOT_FOUND' });
+        }
+        const battle = bRes.rows[0];
+        if (battle.status !== 'open') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'BATTLE_NOT_OPEN' });
+        }
+
+        const seatsRes = await client.query(
+          'SELECT seat_index, user_id FROM battle_seats WHERE battle_id = $1 AND user_id IS NOT NULL ORDER BY user_id;',
+          [battleId]
+        );
+        const mySeat = seatsRes.rows.find((s) => Number(s.user_id) === Number(req.user.id));
+        if (!mySeat) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'NOT_IN_BATTLE' });
+        }
+
+        const cost = Number(battle.cost_cents);
+        const cancelled = Number(battle.creator_id) === Number(req.user.id);
+
+        // The creator leaving cancels the lobby and refunds everyone seated.
+        const leaving = cancelled ? seatsRes.rows : [mySeat];
+        for (const s of leaving) {
+          await applyGems(client, s.user_id, cost, 'battle_refund', battleId);
+        }
+
+        if (cancelled) {
+          await client.query(`UPDATE battles SET status = 'cancelled', finished_at = NOW() WHERE id = $1;`, [battleId]);
+        } else {
+          await client.query(
+            'UPDATE battle_seats SET user_id = NULL, joined_at = NULL WHERE battle_id = $1 AND seat_index = $2;',
+            [battleId, mySeat.seat_index]
+          );
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ ok: true, cancelled, refund_cents: cost });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // Creator only: fill every empty seat with a bot and start the battle.
+  app.post(
+    '/api/battles/:id/bots',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const battleId = Number(req.params.id);
+      if (!Number.isFinite(battleId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const snapshot = await pool.query('SELECT * FROM battles WHERE id = $1;', [battleId]);
+      if (snapshot.rowCount === 0) return res.status(404).json({ error: 'BATTLE_NOT_FOUND' });
+      if (snapshot.rows[0].status !== 'open') return res.status(400).json({ error: 'BATTLE_NOT_OPEN' });
+      // Rolled and priced before the battle row is locked; the checks below are repeated under lock.
+      const rolled = await rollBattle(pool, snapshot.rows[0]);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const bRes = await client.query('SELECT * FROM battles WHERE id = $1 FOR UPDATE;', [battleId]);
+        if (bRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'BATTLE_NOT_FOUND' });
+        }
+        const battle = bRes.rows[0];
+        if (Number(battle.creator_id) !== Number(req.user.id)) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ error: 'NOT_YOURS' });
+        }
+        if (battle.status !== 'open') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'BATTLE_NOT_OPEN' });
+        }
+
+        await fillSeatsWithBots(client, battleId);
+        await runBattle(client, battle, rolled);
+
+        await client.query('COMMIT');
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      res.json({ ok: true, ...(await getBattle(pool, battleId)) });
+    })
+  );
+
+  app.get(
+    '/api/leaderboard',
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT steam_id, display_name, avatar, gems_cents
+        FROM users
+        ORDER BY gems_cents DESC
+        LIMIT 50;
+        `
+      );
+      res.json({ leaderboard: rows.rows });
+    })
+  );
+
+  app.get(
+    '/api/leaderboards',
+    asyncHandler(async (req, res) => {
+      res.json({
+        categories: Object.keys(LEADERBOARD_CATEGORIES),
+        windows: Object.keys(LEADERBOARD_WINDOWS),
+        weekly_prizes: weeklyPrizes()
+      });
+    })
+  );
+
+  app.get(
+    '/api/leaderboards/:category',
+    asyncHandler(async (req, res) => {
+      const category = String(req.params.category);
+      if (!isLeaderboardCategory(category)) return res.status(404).json({ error: 'LEADERBOARD_NOT_FOUND' });
+
+      const window = String(req.query.window || 'weekly');
+      if (!isLeaderboardWindow(window)) return res.status(400).json({ error: 'BAD_WINDOW' });
+
+      const board = await getLeaderboard(pool, {
+        category,
+        window,
+        limit: Math.min(Math.max(Number(req.query.limit) || 50, 1), MAX_LEADERBOARD_PAGE),
+        offset: Math.max(Number(req.query.offset) || 0, 0),
+        userId: req.user ? req.user.id : null
+      });
+      res.json({ ...board, prizes: window === 'weekly' ? weeklyPrizes()[category] || [] : [] });
+    })
+  );
+
+  app.post(
+    '/api/streak/claim',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const baseBonus = Number(process.env.STREAK_BONUS_CENTS || 750);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const uRes = await client.query(
+          `
+          SELECT gems_cents, streak_day, last_streak_claim_at,
+                 (last_streak_claim_at::date = CURRENT_DATE) AS claimed_today
+          FROM users
+          WHERE id = $1
+          FOR UPDATE;
+          `,
+          [req.user.id]
+        );
+
+        const u = uRes.rows[0];
+        if (u.claimed_today === true) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'ALREADY_CLAIMED_TODAY' });
+        }
+
+        const newStreak = Number(u.streak_day || 0) + 1;
+        const multiplier = Math.min(newStreak, 7); // grows for first 7 days
+        const reward = Math.max(0, Math.round(baseBonus * multiplier));
+
+        const upd = await client.query(
+          `
+          UPDATE users
+          SET streak_day = $1,
+              last_streak_claim_at = NOW(),
+              updated_at = NOW()
+          WHERE id = $2
+          RETURNING streak_day, last_streak_claim_at;
+          `,
+          [newStreak, req.user.id]
+        );
+
+        const xp = await awardXp(client, req.user.id, 'streak_claim');
+        const events = await emitEvent(client, req.user.id, 'streak_claim', {
+          streak_day: newStreak,
+          reward_cents: reward
+        });
+        const balance = await applyGems(client, req.user.id, reward, 'streak_claim');
+
+        await client.query('COMMIT');
+        res.json({
+          ok: true,
+          reward_cents: reward,
+          xp,
+          achievements: events.achievements,
+          missions: events.missions,
+          user: { gems_cents: balance, ...upd.rows[0] }
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.get(
+    '/api/giveaways',
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT id, title, prize_text, tier_required, starts_at, ends_at, status
+        FROM giveaways
+        ORDER BY starts_at DESC
+        LIMIT 50;
+        `
+      );
+      res.json({ giveaways: rows.rows });
+    })
+  );
+
+  app.get(
+    '/api/giveaways/:id',
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const gRes = await pool.query(
+        `
+        SELECT id, title, prize_text, tier_required, starts_at, ends_at, status
+        FROM giveaways
+        WHERE id = $1;
+        `,
+        [id]
+      );
+      if (gRes.rowCount === 0) return res.status(404).json({ error: 'GIVEAWAY_NOT_FOUND' });
+      const giveaway = gRes.rows[0];
+
+      const totalRes = await pool.query(
+        'SELECT COALESCE(SUM(entries), 0) AS total_entries FROM giveaway_entries WHERE giveaway_id = $1;',
+        [id]
+      );
+
+      let myEntries = 0;
+      if (req.user) {
+        const myRes = await pool.query(
+          'SELECT entries FROM giveaway_entries WHERE giveaway_id = $1 AND user_id = $2;',
+          [id, req.user.id]
+        );
+        myEntries = Number(myRes.rows[0]?.entries || 0);
+      }
+
+      res.json({
+        giveaway,
+        total_entries: Number(totalRes.rows[0]?.total_entries || 0),
+        my_entries: myEntries
+      });
+    })
+  );
+
+  app.post(
+    '/api/giveaways/:id/enter',
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const id = Number(req.params.id);
+      const entries = Number(req.body.entries || 0);
+
+      if (!Number.isFinite(id)) return res.status(400).json({ error: 'BAD_ID' });
+      if (!Number.isFinite(entries) || entries <= 0 || entries > 10_000) {
+        return res.status(400).json({ error: 'BAD_ENTRIES' });
+      }
+
+      const entryCost = Number(process.env.GIVEAWAY_ENTRY_COST_CENTS || 1000);
+      const cost = entryCost * entries;
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const gRes = await client.query(
           `
-          SELECT id, user_id, price_cents_at_drop
-          FROM inventory
+          SELECT id, status, starts_at, ends_at, tier_required,
+                 (starts_at <= NOW()) AS started,
+                 (ends_at <= NOW()) AS finished
+          FROM giveaways
           WHERE id = $1
           FOR UPDATE;
           `,
-          [invId]
+          [id]
+        );
+        if (gRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'GIVEAWAY_NOT_FOUND' });
+        }
+        const g = gRes.rows[0];
+        // Entries are only accepted inside [starts_at, ends_at), even if the lifecycle job
+        // has not caught up with the status yet.
+        if (String(g.status) === 'ended' || g.finished) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'GIVEAWAY_ENDED', ends_at: g.ends_at });
+        }
+        if (!g.started) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'GIVEAWAY_NOT_STARTED', starts_at: g.starts_at });
+        }
+
+        const uRes = await client.query('SELECT gems_cents, tier FROM users WHERE id = $1 FOR UPDATE;', [
+          req.user.id
+        ]);
+        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+        const tier = Number(uRes.rows[0]?.tier || 0);
+
+        if (tier < Number(g.tier_required || 0)) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ error: 'TIER_TOO_LOW', tier_required: Number(g.tier_required), tier });
+        }
+
+        if (balance < cost) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: cost });
+        }
+
+        const events = await emitEvent(client, req.user.id, 'giveaway_entry', {
+          giveaway_id: id,
+          entries,
+          cost_cents: cost
+        });
+        const newBalance = await applyGems(client, req.user.id, -cost, 'giveaway_entry', id);
+
+        await client.query(
+          `
+          INSERT INTO giveaway_entries (giveaway_id, user_id, entries)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (giveaway_id, user_id)
+          DO UPDATE SET entries = giveaway_entries.entries + EXCLUDED.entries;
+          `,
+          [id, req.user.id, entries]
         );
 
-        if (invRes.rowCount === 0) {
+        const myRes = await client.query(
+          'SELECT entries FROM giveaway_entries WHERE giveaway_id = $1 AND user_id = $2;',
+          [id, req.user.id]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+          ok: true,
+          bought_entries: entries,
+          cost_cents: cost,
+          balance_cents: newBalance,
+          my_entries: Number(myRes.rows[0]?.entries || 0),
+          achievements: events.achievements,
+          missions: events.missions
+        });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.get(
+    '/api/winners',
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT w.picked_at,
+               u.steam_id,
+               u.display_name,
+               u.avatar,
+               g.title,
+               g.prize_text
+        FROM giveaway_winners w
+        JOIN users u ON u.id = w.user_id
+        JOIN giveaways g ON g.id = w.giveaway_id
+        ORDER BY w.picked_at DESC
+        LIMIT 50;
+        `
+      );
+
+      res.json({ winners: rows.rows });
+    })
+  );
+
+  // ---- Admin endpoints ----
+
+  app.post(
+    '/api/admin/giveaways',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const { title, prize_text, tier_required, starts_at, ends_at } = req.body || {};
+      if (!title || !prize_text || !starts_at || !ends_at) return res.status(400).json({ error: 'MISSING_FIELDS' });
+
+      const row = await pool.query(
+        `
+        INSERT INTO giveaways (title, prize_text, tier_required, starts_at, ends_at, status)
+        VALUES ($1, $2, $3, $4, $5, 'scheduled')
+        RETURNING *;
+        `,
+        [String(title), String(prize_text), Number(tier_required || 0), new Date(starts_at), new Date(ends_at)]
+      );
+
+      res.json({ ok: true, giveaway: row.rows[0] });
+    })
+  );
+
+  // Users whose gems_cents does not match the sum of their ledger rows.
+  app.get(
+    '/api/admin/ledger/check',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const mismatches = await findBalanceMismatches(pool);
+      res.json({ ok: mismatches.length === 0, mismatches });
+    })
+  );
+
+  app.get(
+    '/api/admin/users/:steamId/transactions',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const uRes = await pool.query('SELECT id FROM users WHERE steam_id = $1;', [String(req.params.steamId)]);
+      if (uRes.rowCount === 0) return res.status(404).json({ error: 'USER_NOT_FOUND' });
+
+      const page = await listTransactions(pool, uRes.rows[0].id, { limit: req.query.limit, before: req.query.before });
+      res.json(page);
+    })
+  );
+
+  app.post(
+    '/api/admin/giveaways/:id/pick-winner',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const giveawayId = Number(req.params.id);
+      if (!Number.isFinite(giveawayId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const gRes = await client.query('SELECT id, status FROM giveaways WHERE id = $1 FOR UPDATE;', [giveawayId]);
+        if (gRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'GIVEAWAY_NOT_FOUND' });
+        }
+
+        const picked = await pickWinner(client, giveawayId);
+        if (picked.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: picked.error });
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ ok: true, winner: picked.winner });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  // ---- Admin catalog ----
+  // Every change to a case or its contents is snapshotted as a new case version (lib/catalog).
+
+  app.get(
+    '/api/admin/cases',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT c.*,
+               (SELECT COUNT(*) FROM case_items ci WHERE ci.case_id = c.id) AS item_count,
+               (SELECT MAX(v.version) FROM case_versions v WHERE v.case_id = c.id) AS version
+        FROM cases c
+        ORDER BY c.id ASC;
+        `
+      );
+
+      res.json({
+        cases: rows.rows.map((r) => ({
+          ...r,
+          item_count: Number(r.item_count),
+          version: r.version === null ? null : Number(r.version)
+        }))
+      });
+    })
+  );
+
+  // New cases start inactive; they can be activated once they have contents.
+  app.post(
+    '/api/admin/cases',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const fields = parseCaseFields(req.body || {});
+      if (fields.error) return res.status(400).json(fields);
+      if (fields.active) return res.status(400).json({ error: 'EMPTY_CASE' });
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        if (await slugTaken(client, fields.slug)) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'SLUG_TAKEN' });
+        }
+
+        const row = await insertRow(client, 'cases', { ...fields, active: false });
+        await snapshotCase(client, row.id, { createdBy: req.user.id, note: 'created' });
+
+        await client.query('COMMIT');
+
+        res.json({ ok: true, case: row });
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
+
+  app.post(
+    '/api/admin/cases/:id',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const caseId = Number(req.params.id);
+      if (!Number.isFinite(caseId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const fields = parseCaseFields(req.body || {}, { partial: true });
+      if (fields.error) return res.status(400).json(fields);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const cRes = await client.query('SELECT id FROM cases WHERE id = $1 FOR UPDATE;', [caseId]);
+        if (cRes.rowCount === 0) {
           await client.query('ROLLBACK');
-          return res.status(404).json({ error: 'INVENTORY_NOT_FOUND' });
+          return res.status(404).json({ error: 'CASE_NOT_FOUND' });
         }
 
-        const inv = invRes.rows[0];
-        if (Number(inv.user_id) !== Number(req.user.id)) {
+        if (fields.slug && (await slugTaken(client, fields.slug, caseId))) {
           await client.query('ROLLBACK');
-          return res.status(403).json({ error: 'NOT_YOURS' });
+          return res.status(409).json({ error: 'SLUG_TAKEN' });
         }
 
-        const credit = Number(inv.price_cents_at_drop || 0);
+        if (fields.active && (await loadCaseItems(client, caseId)).length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'EMPTY_CASE' });
+        }
 
-        await client.query('DELETE FROM inventory WHERE id = $1;', [invId]);
-        const uRes = await client.query(
-          `
-          UPDATE users
-          SET gems_cents = gems_cents + $1, updated_at = NOW()
-          WHERE id = $2
-          RETURNING gems_cents;
-          `,
-          [credit, req.user.id]
-        );
+        const row = await updateRow(client, 'cases', caseId, fields);
+        const note = req.body && req.body.note ? String(req.body.note).slice(0, 200) : 'case updated';
+        await snapshotCase(client, caseId, { createdBy: req.user.id, note });
 
         await client.query('COMMIT');
 
-        res.json({ ok: true, credit_cents: credit, balance_cents: Number(uRes.rows[0].gems_cents || 0) });
+        res.json({ ok: true, case: row });
       } catch (err) {
         try {
           await client.query('ROLLBACK');
@@ -429,69 +2825,56 @@ async function main() {
   );
 
   app.get(
-    '/api/leaderboard',
+    '/api/admin/cases/:id/contents',
+    requireAdmin,
     asyncHandler(async (req, res) => {
-      const rows = await pool.query(
-        `
-        SELECT display_name, avatar, gems_cents
-        FROM users
-        ORDER BY gems_cents DESC
-        LIMIT 50;
-        `
-      );
-      res.json({ leaderboard: rows.rows });
+      const caseId = Number(req.params.id);
+      if (!Number.isFinite(caseId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const items = await loadCaseItems(pool, caseId);
+      res.json({ items, warnings: items.length > 0 ? rarityWarnings(items) : [] });
     })
   );
 
+  // Replaces the whole item list: { items: [{ itemId, weight }], note }. Weights must all be
+  // positive. Rarity proportions far from CS2's are allowed but come back as warnings.
   app.post(
-    '/api/streak/claim',
-    requireAuth,
+    '/api/admin/cases/:id/contents',
+    requireAdmin,
     asyncHandler(async (req, res) => {
-      const baseBonus = Number(process.env.STREAK_BONUS_CENTS || 750);
+      const caseId = Number(req.params.id);
+      if (!Number.isFinite(caseId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      const parsed = parseContents(req.body && req.body.items);
+      if (parsed.error) return res.status(400).json(parsed);
 
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
 
-        const uRes = await client.query(
-          `
-          SELECT gems_cents, streak_day, last_streak_claim_at,
-                 (last_streak_claim_at::date = CURRENT_DATE) AS claimed_today
-          FROM users
-          WHERE id = $1
-          FOR UPDATE;
-          `,
-          [req.user.id]
-        );
-
-        const u = uRes.rows[0];
-        if (u.claimed_today === true) {
+        const cRes = await client.query('SELECT id FROM cases WHERE id = $1 FOR UPDATE;', [caseId]);
+        if (cRes.rowCount === 0) {
           await client.query('ROLLBACK');
-          return res.status(400).json({ error: 'ALREADY_CLAIMED_TODAY' });
+          return res.status(404).json({ error: 'CASE_NOT_FOUND' });
         }
 
-        const newStreak = Number(u.streak_day || 0) + 1;
-        const multiplier = Math.min(newStreak, 7); // grows for first 7 days
-        const reward = Math.max(0, Math.round(baseBonus * multiplier));
+        const replaced = await replaceCaseContents(client, caseId, parsed.entries);
+        if (replaced.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json(replaced);
+        }
 
-        const upd = await client.query(
-          `
-          UPDATE users
-          SET streak_day = $1,
-              last_streak_claim_at = NOW(),
-              gems_cents = gems_cents + $2,
-              updated_at = NOW()
-          WHERE id = $3
-          RETURNING gems_cents, streak_day, last_streak_claim_at;
-          `,
-          [newStreak, reward, req.user.id]
-        );
+        const note = req.body.note ? String(req.body.note).slice(0, 200) : 'contents updated';
+        const versionId = await snapshotCase(client, caseId, { createdBy: req.user.id, note });
+        const vRes = await client.query('SELECT version FROM case_versions WHERE id = $1;', [versionId]);
 
         await client.query('COMMIT');
+
         res.json({
           ok: true,
-          reward_cents: reward,
-          user: upd.rows[0]
+          version: Number(vRes.rows[0].version),
+          items: replaced.items,
+          warnings: rarityWarnings(replaced.items)
         });
       } catch (err) {
         try {
@@ -505,128 +2888,134 @@ async function main() {
   );
 
   app.get(
-    '/api/giveaways',
+    '/api/admin/cases/:id/versions',
+    requireAdmin,
     asyncHandler(async (req, res) => {
-      const rows = await pool.query(
-        `
-        SELECT id, title, prize_text, tier_required, starts_at, ends_at, status
-        FROM giveaways
-        ORDER BY starts_at DESC
-        LIMIT 50;
-        `
-      );
-      res.json({ giveaways: rows.rows });
+      const caseId = Number(req.params.id);
+      if (!Number.isFinite(caseId)) return res.status(400).json({ error: 'BAD_ID' });
+
+      res.json({ versions: await listCaseVersions(pool, caseId) });
     })
   );
 
   app.get(
-    '/api/giveaways/:id',
+    '/api/admin/cases/:id/versions/:version',
+    requireAdmin,
     asyncHandler(async (req, res) => {
-      const id = Number(req.params.id);
-      if (!Number.isFinite(id)) return res.status(400).json({ error: 'BAD_ID' });
+      const caseId = Number(req.params.id);
+      const version = Number(req.params.version);
+      if (!Number.isFinite(caseId) || !Number.isInteger(version)) return res.status(400).json({ error: 'BAD_ID' });
 
-      const gRes = await pool.query(
+      const row = await getCaseVersion(pool, caseId, version);
+      if (!row) return res.status(404).json({ error: 'VERSION_NOT_FOUND' });
+
+      res.json({ version: row });
+    })
+  );
+
+  app.get(
+    '/api/admin/items',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const rows = await pool.query(
+        `
+        SELECT i.*, (SELECT COUNT(*) FROM case_items ci WHERE ci.item_id = i.id) AS case_count
+        FROM items i
+        ORDER BY i.id ASC;
         `
-        SELECT id, title, prize_text, tier_required, starts_at, ends_at, status
-        FROM giveaways
-        WHERE id = $1;
-        `,
-        [id]
       );
-      if (gRes.rowCount === 0) return res.status(404).json({ error: 'GIVEAWAY_NOT_FOUND' });
-      const giveaway = gRes.rows[0];
 
-      const totalRes = await pool.query(
-        'SELECT COALESCE(SUM(entries), 0) AS total_entries FROM giveaway_entries WHERE giveaway_id = $1;',
-        [id]
-      );
+      res.json({ items: rows.rows.map((r) => ({ ...r, case_count: Number(r.case_count) })) });
+    })
+  );
 
-      let myEntries = 0;
-      if (req.user) {
-        const myRes = await pool.query(
-          'SELECT entries FROM giveaway_entries WHERE giveaway_id = $1 AND user_id = $2;',
-          [id, req.user.id]
-        );
-        myEntries = Number(myRes.rows[0]?.entries || 0);
-      }
+  app.post(
+    '/api/admin/items',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const fields = parseItemFields(req.body || {});
+      if (fields.error) return res.status(400).json(fields);
 
-      res.json({
-        giveaway,
-        total_entries: Number(totalRes.rows[0]?.total_entries || 0),
-        my_entries: myEntries
-      });
+      const row = await insertRow(pool, 'items', fields);
+      res.json({ ok: true, item: row });
     })
   );
 
+  // Item details are part of every case snapshot, so each case holding the item gets a new version.
   app.post(
-    '/api/giveaways/:id/enter',
-    requireAuth,
+    '/api/admin/items/:id',
+    requireAdmin,
     asyncHandler(async (req, res) => {
-      const id = Number(req.params.id);
-      const entries = Number(req.body.entries || 0);
-
-      if (!Number.isFinite(id)) return res.status(400).json({ error: 'BAD_ID' });
-      if (!Number.isFinite(entries) || entries <= 0 || entries > 10_000) {
-        return res.status(400).json({ error: 'BAD_ENTRIES' });
-      }
+      const itemId = Number(req.params.id);
+      if (!Number.isFinite(itemId)) return res.status(400).json({ error: 'BAD_ID' });
 
-      const entryCost = Number(process.env.GIVEAWAY_ENTRY_COST_CENTS || 1000);
-      const cost = entryCost * entries;
+      const fields = parseItemFields(req.body || {}, { partial: true });
+      if (fields.error) return res.status(400).json(fields);
 
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
 
-        const gRes = await client.query('SELECT id, status, ends_at FROM giveaways WHERE id = $1 FOR UPDATE;', [id]);
-        if (gRes.rowCount === 0) {
+        const row = await updateRow(client, 'items', itemId, fields);
+        if (!row) {
           await client.query('ROLLBACK');
-          return res.status(404).json({ error: 'GIVEAWAY_NOT_FOUND' });
+          return res.status(404).json({ error: 'ITEM_NOT_FOUND' });
         }
-        const g = gRes.rows[0];
-        if (String(g.status) === 'ended') {
-          await client.query('ROLLBACK');
-          return res.status(400).json({ error: 'GIVEAWAY_ENDED' });
+
+        const caseIds = await casesWithItem(client, itemId);
+        for (const caseId of caseIds) {
+          await snapshotCase(client, caseId, { createdBy: req.user.id, note: `item ${itemId} updated` });
         }
 
-        const uRes = await client.query('SELECT gems_cents FROM users WHERE id = $1 FOR UPDATE;', [req.user.id]);
-        const balance = Number(uRes.rows[0]?.gems_cents || 0);
+        await client.query('COMMIT');
 
-        if (balance < cost) {
+        res.json({ ok: true, item: row, cases_versioned: caseIds });
+      } catch (err) {
+        try {
           await client.query('ROLLBACK');
-          return res.status(400).json({ error: 'NOT_ENOUGH_GEMS', balance_cents: balance, cost_cents: cost });
-        }
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    })
+  );
 
-        const newBalance = balance - cost;
+  // Only items nobody owns and no case contains can be deleted; past openings keep the
+  // item in their version snapshot either way.
+  app.delete(
+    '/api/admin/items/:id',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const itemId = Number(req.params.id);
+      if (!Number.isFinite(itemId)) return res.status(400).json({ error: 'BAD_ID' });
 
-        await client.query('UPDATE users SET gems_cents = $1, updated_at = NOW() WHERE id = $2;', [
-          newBalance,
-          req.user.id
-        ]);
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
 
-        await client.query(
+        const iRes = await client.query('SELECT id FROM items WHERE id = $1 FOR UPDATE;', [itemId]);
+        if (iRes.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'ITEM_NOT_FOUND' });
+        }
+
+        const used = await client.query(
           `
-          INSERT INTO giveaway_entries (giveaway_id, user_id, entries)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (giveaway_id, user_id)
-          DO UPDATE SET entries = giveaway_entries.entries + EXCLUDED.entries;
+          SELECT EXISTS (SELECT 1 FROM case_items WHERE item_id = $1) AS in_case,
+                 EXISTS (SELECT 1 FROM inventory WHERE item_id = $1) AS owned;
           `,
-          [id, req.user.id, entries]
-        );
-
-        const myRes = await client.query(
-          'SELECT entries FROM giveaway_entries WHERE giveaway_id = $1 AND user_id = $2;',
-          [id, req.user.id]
+          [itemId]
         );
+        if (used.rows[0].in_case || used.rows[0].owned) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'ITEM_IN_USE', ...used.rows[0] });
+        }
 
+        await client.query('DELETE FROM items WHERE id = $1;', [itemId]);
         await client.query('COMMIT');
 
-        res.json({
-          ok: true,
-          bought_entries: entries,
-          cost_cents: cost,
-          balance_cents: newBalance,
-          my_entries: Number(myRes.rows[0]?.entries || 0)
-        });
+        res.json({ ok: true });
       } catch (err) {
         try {
           await client.query('ROLLBACK');
@@ -638,112 +3027,68 @@ async function main() {
     })
   );
 
+  // ---- Admin prices ----
+
+  // Provider chain order, circuit breaker state and hit / miss counters (this instance only).
   app.get(
-    '/api/winners',
+    '/api/admin/prices/providers',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      res.json({ chain: providerChain(), providers: providerHealth() });
+    })
+  );
+
+  app.get(
+    '/api/admin/prices/overrides',
+    requireAdmin,
     asyncHandler(async (req, res) => {
       const rows = await pool.query(
         `
-        SELECT w.picked_at,
-               u.display_name,
-               u.avatar,
-               g.title,
-               g.prize_text
-        FROM giveaway_winners w
-        JOIN users u ON u.id = w.user_id
-        JOIN giveaways g ON g.id = w.giveaway_id
-        ORDER BY w.picked_at DESC
-        LIMIT 50;
+        SELECT po.market_hash_name, po.price_cents, po.note, po.updated_at, u.steam_id AS set_by_steam_id
+        FROM price_overrides po
+        LEFT JOIN users u ON u.id = po.set_by
+        ORDER BY po.market_hash_name ASC;
         `
       );
-
-      res.json({ winners: rows.rows });
+      res.json({ overrides: rows.rows.map((r) => ({ ...r, price_cents: Number(r.price_cents) })) });
     })
   );
 
-  // ---- Admin endpoints ----
-
   app.post(
-    '/api/admin/giveaways',
+    '/api/admin/prices/overrides',
     requireAdmin,
     asyncHandler(async (req, res) => {
-      const { title, prize_text, tier_required, starts_at, ends_at } = req.body || {};
-      if (!title || !prize_text || !starts_at || !ends_at) return res.status(400).json({ error: 'MISSING_FIELDS' });
+      const name = String((req.body && req.body.marketHashName) || '').trim();
+      const priceCents = Number(req.body && req.body.priceCents);
+      if (!name) return res.status(400).json({ error: 'MISSING_MARKET_HASH_NAME' });
+      if (!Number.isInteger(priceCents) || priceCents < 0) return res.status(400).json({ error: 'BAD_PRICE' });
 
       const row = await pool.query(
         `
-        INSERT INTO giveaways (title, prize_text, tier_required, starts_at, ends_at, status)
-        VALUES ($1, $2, $3, $4, $5, 'scheduled')
-        RETURNING *;
+        INSERT INTO price_overrides (market_hash_name, price_cents, note, set_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (market_hash_name) DO UPDATE
+          SET price_cents = EXCLUDED.price_cents, note = EXCLUDED.note, set_by = EXCLUDED.set_by, updated_at = NOW()
+        RETURNING market_hash_name, price_cents, note, updated_at;
         `,
-        [String(title), String(prize_text), Number(tier_required || 0), new Date(starts_at), new Date(ends_at)]
+        [name, priceCents, req.body.note ? String(req.body.note).slice(0, 200) : null, req.user.id]
       );
 
-      res.json({ ok: true, giveaway: row.rows[0] });
+      res.json({ ok: true, override: { ...row.rows[0], price_cents: Number(row.rows[0].price_cents) } });
     })
   );
 
-  app.post(
-    '/api/admin/giveaways/:id/pick-winner',
+  app.delete(
+    '/api/admin/prices/overrides',
     requireAdmin,
     asyncHandler(async (req, res) => {
-      const giveawayId = Number(req.params.id);
-      if (!Number.isFinite(giveawayId)) return res.status(400).json({ error: 'BAD_ID' });
-
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-
-        const gRes = await client.query('SELECT id, status FROM giveaways WHERE id = $1 FOR UPDATE;', [giveawayId]);
-        if (gRes.rowCount === 0) {
-          await client.query('ROLLBACK');
-          return res.status(404).json({ error: 'GIVEAWAY_NOT_FOUND' });
-        }
-
-        const entriesRes = await client.query(
-          'SELECT user_id, entries FROM giveaway_entries WHERE giveaway_id = $1 AND entries > 0;',
-          [giveawayId]
-        );
-        if (entriesRes.rowCount === 0) {
-          await client.query('ROLLBACK');
-          return res.status(400).json({ error: 'NO_ENTRIES' });
-        }
-
-        const rows = entriesRes.rows.map((r) => ({ user_id: Number(r.user_id), weight: Number(r.entries) || 0 }));
-        const picked = weightedPick(rows, 'weight');
-
-        await client.query(
-          `
-          INSERT INTO giveaway_winners (giveaway_id, user_id, picked_at)
-          VALUES ($1, $2, NOW())
-          ON CONFLICT (giveaway_id)
-          DO UPDATE SET user_id = EXCLUDED.user_id, picked_at = EXCLUDED.picked_at;
-          `,
-          [giveawayId, picked.user_id]
-        );
-
-        await client.query(`UPDATE giveaways SET status = 'ended', updated_at = NOW() WHERE id = $1;`, [giveawayId]);
-
-        const winnerRes = await client.query(
-          `
-          SELECT w.picked_at, u.display_name, u.avatar
-          FROM giveaway_winners w
-          JOIN users u ON u.id = w.user_id
-          WHERE w.giveaway_id = $1;
-          `,
-          [giveawayId]
-        );
+      const name = String(req.query.marketHashName || '').trim();
+      if (!name) return res.status(400).json({ error: 'MISSING_MARKET_HASH_NAME' });
 
-        await client.query('COMMIT');
+      const del = await pool.query('DELETE FROM price_overrides WHERE market_hash_name = $1;', [name]);
+      if (del.rowCount === 0) return res.status(404).json({ error: 'OVERRIDE_NOT_FOUND' });
 
-        res.json({ ok: true, winner: winnerRes.rows[0] });
-      } catch (err) {
-        try {
-          await client.query('ROLLBACK');
-        } catch (_) {}
-        throw err;
-      } finally {
-        client.release();
-      }
+      res.json({ ok: true });
     })
   );
 
@@ -781,11 +3126,32 @@ async function main() {
 
   // ---- Background jobs (optional) ----
   if (!dev && String(process.env.ENABLE_JOBS || 'true').toLowerCase() === 'true') {
-    // Every 30 minutes refresh a batch of stale cached prices.
+    // Every 30 minutes refresh a batch of stale cached prices through the provider chain.
     cron.schedule('*/30 * * * *', () => {
-      refreshStaleBatch(pool).catch((e) => console.error('refreshStaleBatch failed:', e));
+      refreshStalePrices(pool).catch((e) => console.error('refreshStalePrices failed:', e));
+    });
+
+    // Every minute move giveaways scheduled -> live -> ended and pick winners.
+    cron.schedule('* * * * *', () => {
+      advanceGiveaways(pool).catch((e) => console.error('advanceGiveaways failed:', e));
+    });
+
+    // Shortly after midnight hand out the new daily (and on Mondays weekly) missions.
+    cron.schedule('5 0 * * *', () => {
+      rotateMissions(pool).catch((e) => console.error('rotateMissions failed:', e));
+    });
+
+    // Monday 00:10 closes last week's leaderboards and pays LEADERBOARD_WEEKLY_PRIZES.
+    cron.schedule('10 0 * * 1', () => {
+      closeWeeklyLeaderboards(pool).catch((e) => console.error('closeWeeklyLeaderboards failed:', e));
+    });
+
+    // 00:20 daily rolls raw price history older than PRICE_HISTORY_RAW_DAYS into daily OHLC rows.
+    cron.schedule('20 0 * * *', () => {
+      compactPriceHistory(pool).catch((e) => console.error('compactPriceHistory failed:', e));
     });
-    console.log('Jobs enabled: market cache refresh scheduled.');
+
+    console.log('Jobs enabled: market cache refresh, giveaways, missions, leaderboards and price history scheduled.');
   }
 
   // ---- Error handler (API) ----
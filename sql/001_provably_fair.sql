@@ -0,0 +1,40 @@
+-- Provably-fair openings: per-user server/client seed pairs and a permanent log of
+-- every opening so it can be re-checked after the server seed is revealed.
+
+CREATE TABLE IF NOT EXISTS fair_seeds (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  server_seed TEXT NOT NULL,
+  server_seed_hash TEXT NOT NULL,
+  client_seed TEXT NOT NULL,
+  nonce INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revealed_at TIMESTAMPTZ
+);
+
+-- Exactly one active (unrevealed) seed pair per user.
+CREATE UNIQUE INDEX IF NOT EXISTS fair_seeds_active_user_idx ON fair_seeds (user_id) WHERE active;
+CREATE INDEX IF NOT EXISTS fair_seeds_user_idx ON fair_seeds (user_id, id DESC);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS case_id BIGINT REFERENCES cases(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS case_openings (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  case_id BIGINT REFERENCES cases(id) ON DELETE SET NULL,
+  item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  -- Not a foreign key: the opening record must outlive the item when it is sold.
+  inventory_id BIGINT,
+  fair_seed_id BIGINT NOT NULL REFERENCES fair_seeds(id) ON DELETE CASCADE,
+  nonce INTEGER NOT NULL,
+  wear TEXT NOT NULL,
+  float_value DOUBLE PRECISION NOT NULL,
+  pattern_index INTEGER,
+  cost_cents BIGINT NOT NULL DEFAULT 0,
+  price_cents BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS case_openings_inventory_idx ON case_openings (inventory_id);
+CREATE INDEX IF NOT EXISTS case_openings_user_idx ON case_openings (user_id, created_at DESC);
@@ -0,0 +1,20 @@
+-- Append-only ledger of every gem balance change.
+
+CREATE TABLE IF NOT EXISTS gem_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount_cents BIGINT NOT NULL,
+  reason TEXT NOT NULL,
+  ref_id BIGINT,
+  balance_after_cents BIGINT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS gem_ledger_user_idx ON gem_ledger (user_id, id DESC);
+
+-- Users that existed before the ledger get one row for their balance at that point,
+-- so the balance vs ledger check starts out clean.
+INSERT INTO gem_ledger (user_id, amount_cents, reason, balance_after_cents)
+SELECT u.id, u.gems_cents, 'opening_balance', u.gems_cents
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM gem_ledger l WHERE l.user_id = u.id);
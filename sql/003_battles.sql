@@ -0,0 +1,50 @@
+-- Case battles: lobbies of 2-4 seats that open the same list of cases round by round.
+
+CREATE TABLE IF NOT EXISTS battles (
+  id BIGSERIAL PRIMARY KEY,
+  creator_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL,
+  seat_count INTEGER NOT NULL,
+  team_size INTEGER NOT NULL,
+  case_ids BIGINT[] NOT NULL,
+  cost_cents BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- open | finished | cancelled
+  winner_team INTEGER,
+  total_value_cents BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS battles_status_idx ON battles (status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS battle_seats (
+  battle_id BIGINT NOT NULL REFERENCES battles(id) ON DELETE CASCADE,
+  seat_index INTEGER NOT NULL,
+  team INTEGER NOT NULL,
+  user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  is_bot BOOLEAN NOT NULL DEFAULT FALSE,
+  joined_at TIMESTAMPTZ,
+  total_cents BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (battle_id, seat_index)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS battle_seats_user_idx ON battle_seats (battle_id, user_id) WHERE user_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS battle_drops (
+  id BIGSERIAL PRIMARY KEY,
+  battle_id BIGINT NOT NULL REFERENCES battles(id) ON DELETE CASCADE,
+  round INTEGER NOT NULL,
+  seat_index INTEGER NOT NULL,
+  case_id BIGINT REFERENCES cases(id) ON DELETE SET NULL,
+  item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  wear TEXT NOT NULL,
+  float_value DOUBLE PRECISION NOT NULL,
+  pattern_index INTEGER,
+  market_hash_name TEXT NOT NULL,
+  price_cents BIGINT NOT NULL DEFAULT 0,
+  -- Set on the winning side's drops once they land in someone's inventory.
+  awarded_user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  inventory_id BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS battle_drops_battle_idx ON battle_drops (battle_id, round, seat_index);
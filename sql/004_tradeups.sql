@@ -0,0 +1,14 @@
+-- Trade-up contracts: 10 items of one rarity in, 1 item of the next rarity out.
+
+CREATE TABLE IF NOT EXISTS tradeups (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  input_inventory_ids BIGINT[] NOT NULL,
+  input_rarity TEXT NOT NULL,
+  output_item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  output_inventory_id BIGINT,
+  float_value DOUBLE PRECISION NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tradeups_user_idx ON tradeups (user_id, created_at DESC);
@@ -0,0 +1,18 @@
+-- Item upgrader: stake inventory items for a chance at a more expensive target item.
+
+CREATE TABLE IF NOT EXISTS upgrades (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  staked_inventory_ids BIGINT[] NOT NULL,
+  stake_cents BIGINT NOT NULL,
+  target_item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  target_wear TEXT NOT NULL,
+  target_price_cents BIGINT NOT NULL,
+  chance DOUBLE PRECISION NOT NULL,
+  roll DOUBLE PRECISION NOT NULL,
+  won BOOLEAN NOT NULL,
+  output_inventory_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS upgrades_user_idx ON upgrades (user_id, created_at DESC);
@@ -0,0 +1,39 @@
+-- Player-to-player trade offers (items and/or gems on either side).
+
+CREATE TABLE IF NOT EXISTS trade_offers (
+  id BIGSERIAL PRIMARY KEY,
+  sender_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  recipient_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sender_gems_cents BIGINT NOT NULL DEFAULT 0,
+  recipient_gems_cents BIGINT NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | accepted | declined | cancelled | countered | failed
+  parent_offer_id BIGINT REFERENCES trade_offers(id) ON DELETE SET NULL,
+  message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS trade_offers_sender_idx ON trade_offers (sender_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS trade_offers_recipient_idx ON trade_offers (recipient_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS trade_offer_items (
+  offer_id BIGINT NOT NULL REFERENCES trade_offers(id) ON DELETE CASCADE,
+  -- Not a foreign key: the offer keeps its history after the item is sold or traded on.
+  inventory_id BIGINT NOT NULL,
+  side TEXT NOT NULL, -- sender | recipient
+  item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  wear TEXT,
+  float_value DOUBLE PRECISION,
+  PRIMARY KEY (offer_id, inventory_id)
+);
+
+CREATE TABLE IF NOT EXISTS trade_offer_events (
+  id BIGSERIAL PRIMARY KEY,
+  offer_id BIGINT NOT NULL REFERENCES trade_offers(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  actor_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS trade_offer_events_offer_idx ON trade_offer_events (offer_id, id);
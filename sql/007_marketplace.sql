@@ -0,0 +1,42 @@
+-- Community marketplace: player listings and buy orders by market hash name.
+
+CREATE TABLE IF NOT EXISTS market_listings (
+  id BIGSERIAL PRIMARY KEY,
+  seller_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Not a foreign key: sold listings keep their history after the item moves on.
+  inventory_id BIGINT NOT NULL,
+  item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  market_hash_name TEXT NOT NULL,
+  wear TEXT NOT NULL,
+  float_value DOUBLE PRECISION NOT NULL,
+  pattern_index INTEGER,
+  price_cents BIGINT NOT NULL,
+  fee_cents BIGINT,
+  status TEXT NOT NULL DEFAULT 'active', -- active | sold | cancelled
+  buyer_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  buy_order_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS market_listings_active_inventory_idx
+  ON market_listings (inventory_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS market_listings_active_name_idx
+  ON market_listings (market_hash_name, price_cents) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS market_listings_sold_idx ON market_listings (closed_at DESC) WHERE status = 'sold';
+
+CREATE TABLE IF NOT EXISTS market_buy_orders (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  market_hash_name TEXT NOT NULL,
+  max_price_cents BIGINT NOT NULL,
+  quantity INTEGER NOT NULL,
+  filled INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active', -- active | filled | cancelled
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS market_buy_orders_active_idx
+  ON market_buy_orders (market_hash_name, max_price_cents DESC, created_at ASC) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS market_buy_orders_user_idx ON market_buy_orders (user_id, created_at DESC);
@@ -0,0 +1,16 @@
+-- Player tiers from lifetime activity (gems wagered on cases and cases opened).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS wagered_cents BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS cases_opened INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tier INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill lifetime counters from openings made before this migration. Users that already
+-- have counters are skipped, so re-running is harmless. Tiers catch up on the next open.
+UPDATE users u
+SET wagered_cents = o.wagered_cents, cases_opened = o.cases_opened
+FROM (
+  SELECT user_id, SUM(cost_cents) AS wagered_cents, COUNT(*) AS cases_opened
+  FROM case_openings
+  GROUP BY user_id
+) o
+WHERE o.user_id = u.id AND u.cases_opened = 0;
@@ -0,0 +1,12 @@
+-- XP / account levels and per-case mastery.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS xp BIGINT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS case_mastery (
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  case_id BIGINT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+  xp BIGINT NOT NULL DEFAULT 0,
+  opened INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, case_id)
+);
@@ -0,0 +1,43 @@
+-- Achievements: rule definitions are data (event + JSON criteria), unlocks are per user.
+
+CREATE TABLE IF NOT EXISTS achievements (
+  id BIGSERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL,
+  event TEXT NOT NULL, -- case_open | item_sell | streak_claim | giveaway_entry
+  criteria JSONB NOT NULL DEFAULT '{}'::jsonb,
+  reward_cents BIGINT NOT NULL DEFAULT 0,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS achievements_event_idx ON achievements (event) WHERE active;
+
+CREATE TABLE IF NOT EXISTS user_achievements (
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  achievement_id BIGINT NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+  unlocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS user_achievements_achievement_idx ON user_achievements (achievement_id);
+
+-- Criteria keys match fields of the event payload. A suffix picks the comparison:
+-- _lt, _lte, _gt, _gte, _ne, _in (array); no suffix means equals (case-insensitive for text).
+INSERT INTO achievements (code, name, description, event, criteria, reward_cents, sort_order)
+VALUES
+  ('first_open', 'Unboxer', 'Open your first case.', 'case_open', '{}', 0, 10),
+  ('first_covert', 'Seeing Red', 'Unbox your first Covert item.', 'case_open', '{"rarity": "Covert"}', 2500, 20),
+  ('gold_drop', 'Gold!', 'Unbox a special (gold) item.', 'case_open', '{"is_special": true}', 5000, 30),
+  ('fn_under_001', 'Fresh Out of the Factory', 'Unbox a Factory New item with a float under 0.01.',
+   'case_open', '{"wear": "Factory New", "float_value_lt": 0.01}', 2500, 40),
+  ('pattern_661', 'Blue Gem Hunter', 'Unbox an item with pattern index 661.',
+   'case_open', '{"pattern_index": 661}', 10000, 50),
+  ('first_sale', 'Cashing Out', 'Sell an item.', 'item_sell', '{}', 0, 60),
+  ('big_sale', 'Big Spender''s Friend', 'Sell a single item for 100 gems or more.',
+   'item_sell', '{"price_cents_gte": 10000}', 1000, 70),
+  ('streak_7', 'Creature of Habit', 'Reach a 7-day streak.', 'streak_claim', '{"streak_day_gte": 7}', 2000, 80),
+  ('giveaway_entrant', 'Feeling Lucky', 'Enter a giveaway.', 'giveaway_entry', '{}', 0, 90)
+ON CONFLICT (code) DO NOTHING;
@@ -0,0 +1,51 @@
+-- Daily and weekly missions. Templates are data; each user gets a rotating set per period.
+
+CREATE TABLE IF NOT EXISTS mission_templates (
+  id BIGSERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  period TEXT NOT NULL, -- daily | weekly
+  title TEXT NOT NULL, -- "{case}" is replaced by the case name for per-case missions
+  event TEXT NOT NULL, -- same events as achievements
+  criteria JSONB NOT NULL DEFAULT '{}'::jsonb,
+  per_case BOOLEAN NOT NULL DEFAULT FALSE, -- pins a random active case at assignment
+  metric TEXT NOT NULL DEFAULT 'count', -- count | sum
+  metric_field TEXT, -- payload field summed when metric = 'sum'
+  target BIGINT NOT NULL,
+  reward_cents BIGINT NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS user_missions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  template_id BIGINT NOT NULL REFERENCES mission_templates(id) ON DELETE CASCADE,
+  period TEXT NOT NULL,
+  period_start DATE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  case_id BIGINT REFERENCES cases(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  progress BIGINT NOT NULL DEFAULT 0,
+  target BIGINT NOT NULL,
+  reward_cents BIGINT NOT NULL DEFAULT 0,
+  completed_at TIMESTAMPTZ,
+  claimed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, template_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS user_missions_user_idx ON user_missions (user_id, expires_at DESC);
+
+INSERT INTO mission_templates (code, period, title, event, criteria, per_case, metric, metric_field, target, reward_cents)
+VALUES
+  ('daily_open_5', 'daily', 'Open 5 cases', 'case_open', '{}', FALSE, 'count', NULL, 5, 500),
+  ('daily_open_case_3', 'daily', 'Open 3 {case} cases', 'case_open', '{}', TRUE, 'count', NULL, 3, 750),
+  ('daily_classified', 'daily', 'Unbox a Classified or better', 'case_open',
+   '{"rarity_in": ["Classified", "Covert", "Gold"]}', FALSE, 'count', NULL, 1, 1000),
+  ('daily_sell_100', 'daily', 'Sell items worth 100 gems', 'item_sell', '{}', FALSE, 'sum', 'price_cents', 10000, 500),
+  ('daily_giveaway', 'daily', 'Enter a giveaway', 'giveaway_entry', '{}', FALSE, 'count', NULL, 1, 300),
+  ('weekly_open_50', 'weekly', 'Open 50 cases', 'case_open', '{}', FALSE, 'count', NULL, 50, 5000),
+  ('weekly_open_case_20', 'weekly', 'Open 20 {case} cases', 'case_open', '{}', TRUE, 'count', NULL, 20, 4000),
+  ('weekly_covert', 'weekly', 'Unbox a Covert item', 'case_open', '{"rarity": "Covert"}', FALSE, 'count', NULL, 1, 3000),
+  ('weekly_sell_1000', 'weekly', 'Sell items worth 1,000 gems', 'item_sell', '{}', FALSE, 'sum', 'price_cents',
+   100000, 3000)
+ON CONFLICT (code) DO NOTHING;
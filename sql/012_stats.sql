@@ -0,0 +1,120 @@
+-- Opening statistics, kept up to date as cases are opened (including battle rounds).
+-- Values are drop prices at the time of the drop, so selling an item does not change them.
+
+CREATE TABLE IF NOT EXISTS user_stats (
+  user_id BIGINT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  cases_opened INTEGER NOT NULL DEFAULT 0,
+  spent_cents BIGINT NOT NULL DEFAULT 0,
+  value_cents BIGINT NOT NULL DEFAULT 0,
+  best_drop_item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  best_drop_wear TEXT,
+  best_drop_float DOUBLE PRECISION,
+  best_drop_cents BIGINT,
+  best_drop_at TIMESTAMPTZ,
+  -- Lowest float ever unboxed.
+  luckiest_item_id BIGINT REFERENCES items(id) ON DELETE SET NULL,
+  luckiest_wear TEXT,
+  luckiest_float DOUBLE PRECISION,
+  luckiest_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_case_stats (
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  case_id BIGINT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+  opened INTEGER NOT NULL DEFAULT 0,
+  spent_cents BIGINT NOT NULL DEFAULT 0,
+  value_cents BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, case_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_rarity_stats (
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rarity TEXT NOT NULL,
+  drops INTEGER NOT NULL DEFAULT 0,
+  value_cents BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, rarity)
+);
+
+-- Global counters also include bot seats in battles: every roll is a sample of the case odds.
+-- Bots pay nothing, so they add to opens and value but not to spent_cents.
+CREATE TABLE IF NOT EXISTS global_case_stats (
+  case_id BIGINT PRIMARY KEY REFERENCES cases(id) ON DELETE CASCADE,
+  opened BIGINT NOT NULL DEFAULT 0,
+  spent_cents BIGINT NOT NULL DEFAULT 0,
+  value_cents BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS global_item_stats (
+  case_id BIGINT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+  item_id BIGINT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+  drops BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (case_id, item_id)
+);
+
+-- Backfill from the opening logs written before this migration. Rows that already exist are
+-- left alone, so re-running is harmless. Only ever drop the temp table, never a real one.
+DROP TABLE IF EXISTS pg_temp.stats_backfill;
+CREATE TEMP TABLE stats_backfill AS
+SELECT o.user_id, o.case_id, o.item_id, i.rarity, o.wear, o.float_value, o.cost_cents, o.price_cents, o.created_at
+FROM case_openings o
+LEFT JOIN items i ON i.id = o.item_id
+UNION ALL
+SELECT s.user_id, d.case_id, d.item_id, i.rarity, d.wear, d.float_value,
+       CASE WHEN s.is_bot THEN 0 ELSE COALESCE(c.case_price_cents, 0) + COALESCE(c.key_price_cents, 0) END,
+       d.price_cents, b.finished_at
+FROM battle_drops d
+JOIN battles b ON b.id = d.battle_id
+JOIN battle_seats s ON s.battle_id = d.battle_id AND s.seat_index = d.seat_index
+LEFT JOIN cases c ON c.id = d.case_id
+LEFT JOIN items i ON i.id = d.item_id;
+
+INSERT INTO user_stats
+  (user_id, cases_opened, spent_cents, value_cents, best_drop_item_id, best_drop_wear, best_drop_float,
+   best_drop_cents, best_drop_at, luckiest_item_id, luckiest_wear, luckiest_float, luckiest_at)
+SELECT t.user_id, t.cases_opened, t.spent_cents, t.value_cents, b.item_id, b.wear, b.float_value, b.price_cents,
+       b.created_at, l.item_id, l.wear, l.float_value, l.created_at
+FROM (
+  SELECT user_id, COUNT(*) AS cases_opened, SUM(cost_cents) AS spent_cents, SUM(price_cents) AS value_cents
+  FROM stats_backfill
+  WHERE user_id IS NOT NULL
+  GROUP BY user_id
+) t
+JOIN (
+  SELECT DISTINCT ON (user_id) * FROM stats_backfill WHERE user_id IS NOT NULL ORDER BY user_id, price_cents DESC
+) b ON b.user_id = t.user_id
+JOIN (
+  SELECT DISTINCT ON (user_id) * FROM stats_backfill WHERE user_id IS NOT NULL ORDER BY user_id, float_value ASC
+) l ON l.user_id = t.user_id
+ON CONFLICT (user_id) DO NOTHING;
+
+INSERT INTO user_case_stats (user_id, case_id, opened, spent_cents, value_cents)
+SELECT user_id, case_id, COUNT(*), SUM(cost_cents), SUM(price_cents)
+FROM stats_backfill
+WHERE user_id IS NOT NULL AND case_id IS NOT NULL
+GROUP BY user_id, case_id
+ON CONFLICT (user_id, case_id) DO NOTHING;
+
+INSERT INTO user_rarity_stats (user_id, rarity, drops, value_cents)
+SELECT user_id, rarity, COUNT(*), SUM(price_cents)
+FROM stats_backfill
+WHERE user_id IS NOT NULL AND rarity IS NOT NULL
+GROUP BY user_id, rarity
+ON CONFLICT (user_id, rarity) DO NOTHING;
+
+INSERT INTO global_case_stats (case_id, opened, spent_cents, value_cents)
+SELECT case_id, COUNT(*), SUM(cost_cents), SUM(price_cents)
+FROM stats_backfill
+WHERE case_id IS NOT NULL
+GROUP BY case_id
+ON CONFLICT (case_id) DO NOTHING;
+
+INSERT INTO global_item_stats (case_id, item_id, drops)
+SELECT case_id, item_id, COUNT(*)
+FROM stats_backfill
+WHERE case_id IS NOT NULL AND item_id IS NOT NULL
+GROUP BY case_id, item_id
+ON CONFLICT (case_id, item_id) DO NOTHING;
+
+DROP TABLE IF EXISTS pg_temp.stats_backfill;
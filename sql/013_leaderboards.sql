@@ -0,0 +1,38 @@
+-- Leaderboards by category and time window, and weekly prize payouts.
+
+-- What each battle round cost the seat, so battle openings can be windowed like case openings.
+ALTER TABLE battle_drops ADD COLUMN IF NOT EXISTS cost_cents BIGINT;
+
+UPDATE battle_drops d
+SET cost_cents = COALESCE(c.case_price_cents, 0) + COALESCE(c.key_price_cents, 0)
+FROM cases c
+WHERE c.id = d.case_id AND d.cost_cents IS NULL;
+
+-- Every opening by a player: /api/open plus their own seat's rounds in battles.
+CREATE OR REPLACE VIEW opening_log AS
+SELECT o.user_id, o.case_id, o.item_id, o.price_cents, o.cost_cents, o.created_at
+FROM case_openings o
+UNION ALL
+SELECT s.user_id, d.case_id, d.item_id, d.price_cents, COALESCE(d.cost_cents, 0), b.finished_at
+FROM battle_drops d
+JOIN battles b ON b.id = d.battle_id
+JOIN battle_seats s ON s.battle_id = d.battle_id AND s.seat_index = d.seat_index
+WHERE s.user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS case_openings_created_idx ON case_openings (created_at);
+CREATE INDEX IF NOT EXISTS battles_finished_idx ON battles (finished_at) WHERE status = 'finished';
+CREATE INDEX IF NOT EXISTS inventory_created_idx ON inventory (created_at);
+
+CREATE TABLE IF NOT EXISTS leaderboard_payouts (
+  id BIGSERIAL PRIMARY KEY,
+  category TEXT NOT NULL,
+  period TEXT NOT NULL, -- weekly
+  period_start TIMESTAMPTZ NOT NULL,
+  rank INTEGER NOT NULL,
+  user_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  score BIGINT NOT NULL,
+  prize_cents BIGINT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- One payout per place per closed window, so re-running the job never pays twice.
+  UNIQUE (category, period, period_start, rank)
+);
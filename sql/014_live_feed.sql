@@ -0,0 +1,3 @@
+-- Live feed: event ids are shared by every instance so Last-Event-ID works across reconnects.
+
+CREATE SEQUENCE IF NOT EXISTS live_feed_seq;
@@ -0,0 +1,13 @@
+-- Public profiles: privacy switches and pinned showcase items.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS inventory_private BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stats_private BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS user_showcase (
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Sold items disappear from the showcase; traded ones are filtered out by owner on read.
+  inventory_id BIGINT NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (user_id, position),
+  UNIQUE (user_id, inventory_id)
+);
@@ -0,0 +1,4 @@
+-- Item protection: locked items cannot be sold at all, favourites are skipped by bulk sell.
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS locked BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS favorite BOOLEAN NOT NULL DEFAULT FALSE;
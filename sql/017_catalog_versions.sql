@@ -0,0 +1,23 @@
+-- Catalog versioning: every change to a case or its contents produces a new snapshot of the
+-- case's prices and weighted item list, and each opening records the version it rolled against.
+-- Openings from before this migration keep a NULL version and verify against current contents.
+
+CREATE TABLE IF NOT EXISTS case_versions (
+  id BIGSERIAL PRIMARY KEY,
+  case_id BIGINT NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  -- sha256 of the snapshot, so identical contents map back to the same version.
+  fingerprint TEXT NOT NULL,
+  snapshot JSONB NOT NULL,
+  note TEXT,
+  created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (case_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS case_versions_fingerprint_idx ON case_versions (case_id, fingerprint);
+
+ALTER TABLE case_openings
+  ADD COLUMN IF NOT EXISTS case_version_id BIGINT REFERENCES case_versions(id) ON DELETE SET NULL;
+ALTER TABLE battle_drops
+  ADD COLUMN IF NOT EXISTS case_version_id BIGINT REFERENCES case_versions(id) ON DELETE SET NULL;
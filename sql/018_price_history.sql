@@ -0,0 +1,46 @@
+-- Market price history. market_cache only holds the latest price per market hash name, so a
+-- trigger copies every price written to it (first fetch or refresh) into price_history.
+-- Raw points older than PRICE_HISTORY_RAW_DAYS are rolled up into price_history_daily by the
+-- compaction job and deleted.
+
+CREATE TABLE IF NOT EXISTS price_history (
+  id BIGSERIAL PRIMARY KEY,
+  market_hash_name TEXT NOT NULL,
+  price_cents BIGINT NOT NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS price_history_name_idx ON price_history (market_hash_name, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS price_history_recorded_idx ON price_history (recorded_at);
+
+CREATE TABLE IF NOT EXISTS price_history_daily (
+  market_hash_name TEXT NOT NULL,
+  day DATE NOT NULL,
+  open_cents BIGINT NOT NULL,
+  high_cents BIGINT NOT NULL,
+  low_cents BIGINT NOT NULL,
+  close_cents BIGINT NOT NULL,
+  points INTEGER NOT NULL,
+  PRIMARY KEY (market_hash_name, day)
+);
+
+CREATE OR REPLACE FUNCTION record_price_history() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.price_cents IS NOT NULL THEN
+    INSERT INTO price_history (market_hash_name, price_cents) VALUES (NEW.market_hash_name, NEW.price_cents);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS market_cache_price_history ON market_cache;
+CREATE TRIGGER market_cache_price_history
+  AFTER INSERT OR UPDATE OF price_cents ON market_cache
+  FOR EACH ROW EXECUTE FUNCTION record_price_history();
+
+-- Start every cached name off with today's price.
+INSERT INTO price_history (market_hash_name, price_cents)
+SELECT mc.market_hash_name, mc.price_cents
+FROM market_cache mc
+WHERE mc.price_cents IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM price_history ph WHERE ph.market_hash_name = mc.market_hash_name);
@@ -0,0 +1,48 @@
+-- Admin-set market prices. Lookups through lib/prices and inventory valuations use them ahead of
+-- the market cache and the price provider chain.
+
+CREATE TABLE IF NOT EXISTS price_overrides (
+  market_hash_name TEXT PRIMARY KEY,
+  price_cents BIGINT NOT NULL CHECK (price_cents >= 0),
+  note TEXT,
+  set_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Overrides are the price every lookup shows, so price history follows them: setting or changing
+-- one records it, removing one records the market price that applies again, and market refreshes
+-- are not recorded while an override is in place.
+CREATE OR REPLACE FUNCTION record_price_history() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.price_cents IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM price_overrides po WHERE po.market_hash_name = NEW.market_hash_name) THEN
+    INSERT INTO price_history (market_hash_name, price_cents) VALUES (NEW.market_hash_name, NEW.price_cents);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION record_override_history() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    INSERT INTO price_history (market_hash_name, price_cents)
+    SELECT mc.market_hash_name, mc.price_cents
+    FROM market_cache mc
+    WHERE mc.market_hash_name = OLD.market_hash_name AND mc.price_cents IS NOT NULL;
+    RETURN OLD;
+  END IF;
+
+  INSERT INTO price_history (market_hash_name, price_cents) VALUES (NEW.market_hash_name, NEW.price_cents);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS price_overrides_history ON price_overrides;
+CREATE TRIGGER price_overrides_history
+  AFTER INSERT OR UPDATE OF price_cents OR DELETE ON price_overrides
+  FOR EACH ROW EXECUTE FUNCTION record_override_history();
+
+-- When lib/prices last wrote each cached price; rows from before this column count as stale and
+-- are refreshed through the provider chain by refreshStalePrices.
+ALTER TABLE market_cache ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS market_cache_refreshed_idx ON market_cache (refreshed_at NULLS FIRST);
@@ -0,0 +1,19 @@
+-- StatTrak™ and Souvenir drops: per-case chances, the variant on every drop and a kill
+-- counter on StatTrak™ items. Existing drops are normal copies, and both chances start at 0 so
+-- published odds and expected values only change once an admin enables variants on a case.
+
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS stattrak_chance NUMERIC(6, 5) NOT NULL DEFAULT 0
+  CHECK (stattrak_chance >= 0 AND stattrak_chance <= 1);
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS souvenir_chance NUMERIC(6, 5) NOT NULL DEFAULT 0
+  CHECK (souvenir_chance >= 0 AND souvenir_chance <= 1);
+
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS variant TEXT NOT NULL DEFAULT 'normal'
+  CHECK (variant IN ('normal', 'stattrak', 'souvenir'));
+-- Only set on StatTrak™ items.
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS stattrak_kills INTEGER;
+
+ALTER TABLE case_openings ADD COLUMN IF NOT EXISTS variant TEXT NOT NULL DEFAULT 'normal';
+ALTER TABLE battle_drops ADD COLUMN IF NOT EXISTS variant TEXT NOT NULL DEFAULT 'normal';
+ALTER TABLE upgrades ADD COLUMN IF NOT EXISTS target_variant TEXT NOT NULL DEFAULT 'normal';
+
+CREATE INDEX IF NOT EXISTS inventory_stattrak_idx ON inventory (user_id) WHERE variant = 'stattrak';